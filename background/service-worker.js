@@ -3,8 +3,13 @@
  * Handles background tasks and extension lifecycle
  */
 
+// Maximum number of items kept in the reading queue
+const QUEUE_MAX_ITEMS = 50;
+
 // Initialize default settings on install
 chrome.runtime.onInstalled.addListener(async (details) => {
+  createContextMenus();
+  
   if (details.reason === 'install') {
     // Set default settings
     const defaultSettings = {
@@ -17,7 +22,19 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         offset: 0,
         smoothFollow: true,
         smartDetection: true,
-        scrollFade: true
+        scrollFade: true,
+        autoPaceWpm: 250,
+        style: 'underline',
+        bandOpacity: 0.25,
+        bandPadding: 2,
+        bracketWidth: 3,
+        bracketGap: 6,
+        dotSize: 10,
+        sweepWpm: 250,
+        rememberLine: true,
+        trail: false,
+        trailLength: 5,
+        trailColor: '#9ca3af'
       },
       dimmer: {
         enabled: false,
@@ -26,7 +43,10 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         windowHeight: 60,
         transitionSpeed: 100,
         scrollFade: true,
-        focusedBox: false
+        focusedBox: false,
+        shape: 'banner',
+        edgeSoftness: 40,
+        spotlightRadius: 140
       },
       controlMode: {
         mode: 'mouse',
@@ -39,17 +59,50 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         fontFamily: 'system-ui',
         pauseOnPunctuation: true,
         backgroundColor: '#1a1a1a',
-        textColor: '#ffffff'
+        textColor: '#ffffff',
+        orpAlignment: false,
+        pivotColor: '#ef4444',
+        timingModel: 'smart',
+        warmupWords: 10,
+        theme: 'dark',
+        displayMode: 'word',
+        flowLines: 4,
+        chunking: 'fixed',
+        maxChunkWidth: 20,
+        comprehensionCheck: false,
+        quizQuestions: 3,
+        trainingMode: 'off',
+        trainingStep: 25,
+        trainingSessions: 3,
+        trainingMaxPauses: 2,
+        trainingMinComprehension: 70,
+        codeBlocks: 'show',
+        popOut: false,
+        readAloud: false,
+        speechVoice: '',
+        speechLang: ''
       },
       keybindings: {
         togglePacer: { key: 'p', modifiers: ['Alt', 'Shift'] },
         toggleDimmer: { key: 'd', modifiers: ['Alt', 'Shift'] },
         toggleBoth: { key: 'b', modifiers: ['Alt', 'Shift'] },
         disableAll: { key: 'x', modifiers: ['Alt', 'Shift'] },
+        toggleAutoPace: { key: 'a', modifiers: ['Alt', 'Shift'] },
         startRsvp: { key: 'r', modifiers: ['Alt', 'Shift'] },
+        startRsvpHere: { key: 'h', modifiers: ['Alt', 'Shift'] },
+        addToQueue: { key: 'q', modifiers: ['Alt', 'Shift'] },
+        jumpToMarker: { key: 'j', modifiers: ['Alt', 'Shift'] },
         rsvpPause: { key: ' ', modifiers: [], context: 'rsvp' },
         rsvpSpeedUp: { key: 'ArrowRight', modifiers: [], context: 'rsvp' },
         rsvpSpeedDown: { key: 'ArrowLeft', modifiers: [], context: 'rsvp' },
+        rsvpPrevWord: { key: 'ArrowLeft', modifiers: ['Shift'], context: 'rsvp' },
+        rsvpNextWord: { key: 'ArrowRight', modifiers: ['Shift'], context: 'rsvp' },
+        rsvpPrevSentence: { key: 'ArrowUp', modifiers: [], context: 'rsvp' },
+        rsvpNextSentence: { key: 'ArrowDown', modifiers: [], context: 'rsvp' },
+        rsvpPrevParagraph: { key: 'ArrowUp', modifiers: ['Shift'], context: 'rsvp' },
+        rsvpNextParagraph: { key: 'ArrowDown', modifiers: ['Shift'], context: 'rsvp' },
+        rsvpToggleView: { key: 'v', modifiers: [], context: 'rsvp' },
+        rsvpPopOut: { key: 'p', modifiers: [], context: 'rsvp' },
         rsvpExit: { key: 'Escape', modifiers: [], context: 'rsvp' },
         increaseWindowHeight: { key: 'ArrowUp', modifiers: ['Alt', 'Shift'] },
         decreaseWindowHeight: { key: 'ArrowDown', modifiers: ['Alt', 'Shift'] },
@@ -121,6 +174,47 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true; // Keep channel open for async response
   }
   
+  if (message.type === 'QUEUE_GET') {
+    getQueue().then(sendResponse);
+    return true;
+  }
+  
+  if (message.type === 'QUEUE_ADD') {
+    addToQueue(message.item).then(sendResponse);
+    return true;
+  }
+  
+  if (message.type === 'QUEUE_REMOVE') {
+    updateQueue(queue => queue.filter(item => item.id !== message.id)).then(sendResponse);
+    return true;
+  }
+  
+  if (message.type === 'QUEUE_MOVE') {
+    updateQueue(queue => {
+      const from = queue.findIndex(item => item.id === message.id);
+      const to = from + message.offset;
+      if (from !== -1 && to >= 0 && to < queue.length) {
+        const [item] = queue.splice(from, 1);
+        queue.splice(to, 0, item);
+      }
+      return queue;
+    }).then(sendResponse);
+    return true;
+  }
+  
+  if (message.type === 'QUEUE_PROGRESS') {
+    updateQueue(queue => queue.map(item => item.id === message.id
+      ? { ...item, wordIndex: message.wordIndex, totalWords: message.totalWords, done: message.done }
+      : item
+    )).then(sendResponse);
+    return true;
+  }
+  
+  if (message.type === 'QUEUE_CLEAR_DONE') {
+    updateQueue(queue => queue.filter(item => !item.done)).then(sendResponse);
+    return true;
+  }
+  
   if (message.type === 'UPDATE_STATS') {
     chrome.storage.local.get(['settings'], async (result) => {
       const settings = result.settings;
@@ -146,5 +240,96 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   });
 });
 
+/**
+ * Context menu entries for adding to the reading queue
+ */
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: 'queue-selection',
+      title: 'Add selection to reading queue',
+      contexts: ['selection']
+    });
+    chrome.contextMenus.create({
+      id: 'queue-page',
+      title: 'Add page to reading queue',
+      contexts: ['page']
+    });
+  });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const scope = info.menuItemId === 'queue-selection' ? 'selection' : 'article';
+  
+  // The content script collects the text so paragraphs and article
+  // structure survive; fall back to the plain selection text. It only runs
+  // in the top frame, so it gets the selection text too for selections
+  // made inside iframes.
+  try {
+    await chrome.tabs.sendMessage(tab.id, {
+      type: 'QUEUE_ADD_FROM_PAGE',
+      scope,
+      selectionText: info.selectionText || ''
+    });
+  } catch (e) {
+    if (info.selectionText) {
+      await addToQueue({ title: tab.title, url: tab.url, text: info.selectionText, blocks: [] });
+    }
+  }
+});
+
+/**
+ * Read the reading queue from storage
+ */
+async function getQueue() {
+  const result = await chrome.storage.local.get(['readingQueue']);
+  return result.readingQueue || [];
+}
+
+// Pending reading queue write; updates wait on it so two in flight at
+// once cannot drop each other's change
+let queueUpdate = Promise.resolve();
+
+/**
+ * Apply a change to the reading queue and store it
+ */
+function updateQueue(change) {
+  const update = queueUpdate.then(async () => {
+    const queue = change(await getQueue());
+    await chrome.storage.local.set({ readingQueue: queue });
+    return { success: true, count: queue.length };
+  });
+  
+  // A failed write must not block the ones queued after it
+  queueUpdate = update.catch(() => {});
+  return update;
+}
+
+/**
+ * Append an item ({ title, url, text, blocks }) to the reading queue,
+ * dropping the oldest finished items once the queue is full. Items with
+ * blocks are read from them, so their plain text is not stored.
+ */
+function addToQueue(item) {
+  return updateQueue(queue => {
+    const hasBlocks = Array.isArray(item.blocks) && item.blocks.length > 0;
+    queue.push({
+      ...item,
+      text: hasBlocks ? '' : item.text,
+      blocks: hasBlocks ? item.blocks : [],
+      id: crypto.randomUUID(),
+      addedAt: Date.now(),
+      wordIndex: 0,
+      totalWords: 0,
+      done: false
+    });
+    while (queue.length > QUEUE_MAX_ITEMS) {
+      const finished = queue.findIndex(entry => entry.done);
+      queue.splice(finished === -1 ? 0 : finished, 1);
+    }
+    return queue;
+  });
+}
+
 // Log when service worker starts
 console.log('Prism Pacer: Service worker started');
@@ -0,0 +1,174 @@
+/**
+ * Article Extractor - Pulls the main readable content out of a page
+ * Uses Mozilla Readability on a cloned document so the live page is untouched
+ */
+
+class ArticleExtractor {
+  constructor() {
+    // Page chrome that should never be read, removed before Readability runs
+    this.noiseSelectors = [
+      'nav',
+      'footer',
+      'aside',
+      'iframe',
+      'noscript',
+      '[role="navigation"]',
+      '[role="banner"]',
+      '[role="contentinfo"]',
+      '[role="complementary"]',
+      '.ad',
+      '.ads',
+      '.advert',
+      '.advertisement',
+      '.sponsored',
+      '.newsletter',
+      '.related',
+      '.share',
+      '.social',
+      '.comments',
+      '[id^="ad-"]'
+    ];
+
+    // Block elements whose text becomes one paragraph of output
+    this.blockSelector = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, pre, figcaption, td, th, dd, dt';
+
+    // Ignore extractions too short to be worth speed reading
+    this.minTextLength = 200;
+  }
+
+  /**
+   * Check whether Readability is available in this context
+   */
+  isAvailable() {
+    return typeof Readability !== 'undefined';
+  }
+
+  /**
+   * Extract the main article from the current page
+   * Returns { title, text, blocks } or null when nothing readable is found
+   */
+  extract() {
+    if (!this.isAvailable()) {
+      console.warn('Prism Pacer - Readability not available');
+      return null;
+    }
+
+    let article;
+    try {
+      const clone = document.cloneNode(true);
+      this.removeNoise(clone);
+      article = new Readability(clone, { charThreshold: this.minTextLength }).parse();
+    } catch (e) {
+      console.warn('Prism Pacer - Article extraction failed:', e);
+      return null;
+    }
+
+    if (!article) {
+      return null;
+    }
+
+    const text = this.toPlainText(article.content) || (article.textContent || '').trim();
+    if (text.length < this.minTextLength) {
+      return null;
+    }
+
+    return {
+      title: (article.title || document.title || '').trim(),
+      text,
+      blocks: this.toBlocks(article.content)
+    };
+  }
+
+  /**
+   * Strip navigation, ads and footers from a cloned document
+   */
+  removeNoise(doc) {
+    if (!doc.body) return;
+    const selector = this.noiseSelectors.join(',');
+    const pageTextLength = doc.body.textContent.length;
+    doc.body.querySelectorAll(selector).forEach((element) => {
+      // Never strip the element wrapping the article, or a page-wide
+      // wrapper that happens to match (Readability scores those itself)
+      if (element.querySelector('article, main')) return;
+      if (element.textContent.length > pageTextLength / 2) return;
+      element.remove();
+    });
+  }
+
+  /**
+   * Convert Readability's cleaned HTML into paragraph-separated text
+   */
+  toPlainText(html) {
+    if (!html) return '';
+
+    const container = new DOMParser().parseFromString(html, 'text/html').body;
+    const paragraphs = [];
+
+    container.querySelectorAll(this.blockSelector).forEach((block) => {
+      // Nested blocks (e.g. <p> inside <li>) are read through their parent
+      if (block.parentElement?.closest(this.blockSelector)) return;
+      const text = block.textContent.replace(/\s+/g, ' ').trim();
+      if (text) {
+        paragraphs.push(text);
+      }
+    });
+
+    return paragraphs.join('\n\n');
+  }
+
+  /**
+   * Convert Readability's cleaned HTML into typed blocks for structure-aware
+   * reading: { kind, text } with kind 'paragraph', 'heading', 'listItem',
+   * 'code' (text keeps its line breaks) or 'tableRow' (plus a 1-based index)
+   */
+  toBlocks(html) {
+    if (!html) return [];
+
+    const container = new DOMParser().parseFromString(html, 'text/html').body;
+    const blocks = [];
+    let lastRow = null;
+
+    container.querySelectorAll(this.blockSelector).forEach((block) => {
+      if (block.parentElement?.closest(this.blockSelector)) return;
+
+      if (block.tagName === 'PRE') {
+        const code = block.textContent.replace(/^\n+|\s+$/g, '');
+        if (code) {
+          blocks.push({ kind: 'code', text: code });
+        }
+        return;
+      }
+
+      // Table cells are read a whole row at a time
+      const row = block.closest('tr');
+      if (row && (block.tagName === 'TD' || block.tagName === 'TH')) {
+        if (row === lastRow) return;
+        lastRow = row;
+        const text = Array.from(row.cells)
+          .map(cell => cell.textContent.replace(/\s+/g, ' ').trim())
+          .filter(Boolean)
+          .join(' ');
+        if (text) {
+          blocks.push({ kind: 'tableRow', index: row.rowIndex + 1, text });
+        }
+        return;
+      }
+
+      const text = block.textContent.replace(/\s+/g, ' ').trim();
+      if (!text) return;
+
+      let kind = 'paragraph';
+      if (/^H[1-6]$/.test(block.tagName)) {
+        kind = 'heading';
+      } else if (block.tagName === 'LI') {
+        kind = 'listItem';
+      }
+      blocks.push({ kind, text });
+    });
+
+    return blocks;
+  }
+}
+
+// Create global instance
+const articleExtractor = new ArticleExtractor();
@@ -0,0 +1,396 @@
+/**
+ * Deep Text - Finds and walks page text inside same-origin iframes and open
+ * shadow roots as well as the top document
+ *
+ * Geometry inside a frame is relative to the frame's own viewport; every
+ * rect handed back here is translated to the top viewport, where the pacer
+ * and dimmer draw. Cross-origin frames and closed shadow roots stay out of
+ * reach.
+ */
+
+class DeepText {
+  constructor() {
+    // Handlers called for events inside same-origin frames, by event type
+    this.frameHandlers = {
+      mousemove: new Set(),
+      scroll: new Set()
+    };
+
+    // Frame elements (with their load listeners) and frame documents we
+    // listen to while any handler is registered
+    this.frames = new Map();
+    this.frameDocuments = new Set();
+
+    // Finds frames added to the page (or to a frame) after listening began
+    this.frameObserver = null;
+
+    this.forwardEvent = this.forwardEvent.bind(this);
+    this.handleFrameMutations = this.handleFrameMutations.bind(this);
+  }
+
+  /**
+   * Document of a same-origin iframe / frame element, or null
+   */
+  getFrameDocument(element) {
+    if (!element || (element.tagName !== 'IFRAME' && element.tagName !== 'FRAME')) return null;
+    try {
+      return element.contentDocument || null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Where a frame's viewport starts, in the viewport of the document
+   * holding the frame (inside its border and padding)
+   */
+  getContentOrigin(frame) {
+    const rect = frame.getBoundingClientRect();
+    const style = frame.ownerDocument.defaultView.getComputedStyle(frame);
+    return {
+      x: rect.left + frame.clientLeft + (parseFloat(style.paddingLeft) || 0),
+      y: rect.top + frame.clientTop + (parseFloat(style.paddingTop) || 0)
+    };
+  }
+
+  /**
+   * Offset from a document's viewport to the top viewport
+   */
+  getFrameOffset(doc) {
+    let x = 0;
+    let y = 0;
+    let view = doc.defaultView;
+
+    while (view && view !== window && view.frameElement) {
+      const origin = this.getContentOrigin(view.frameElement);
+      x += origin.x;
+      y += origin.y;
+      view = view.frameElement.ownerDocument.defaultView;
+    }
+
+    return { x, y };
+  }
+
+  translate(rect, offsetX, offsetY) {
+    return new DOMRect(rect.left + offsetX, rect.top + offsetY, rect.width, rect.height);
+  }
+
+  /**
+   * Parent element, stepping out of a shadow tree to its host
+   */
+  getParentElement(element) {
+    if (element.parentElement) return element.parentElement;
+    const root = element.parentNode;
+    return root && root.host ? root.host : null;
+  }
+
+  /**
+   * Deepest element at a top-viewport point, looking into same-origin
+   * frames and open shadow roots. Returns the element, the point in its
+   * document's viewport, the offset to the top viewport and the shadow
+   * roots passed through, or null.
+   */
+  elementFromPoint(x, y) {
+    let doc = document;
+    let offsetX = 0;
+    let offsetY = 0;
+
+    while (doc) {
+      const localX = x - offsetX;
+      const localY = y - offsetY;
+      const shadowRoots = [];
+      let element = doc.elementFromPoint(localX, localY);
+
+      while (element && element.shadowRoot) {
+        const inner = element.shadowRoot.elementFromPoint(localX, localY);
+        if (!inner || inner === element) break;
+        shadowRoots.push(element.shadowRoot);
+        element = inner;
+      }
+
+      if (!element) return null;
+
+      const frameDocument = this.getFrameDocument(element);
+      if (!frameDocument) {
+        return { element, x: localX, y: localY, offsetX, offsetY, shadowRoots };
+      }
+
+      const origin = this.getContentOrigin(element);
+      offsetX += origin.x;
+      offsetY += origin.y;
+      doc = frameDocument;
+    }
+
+    return null;
+  }
+
+  /**
+   * Text node under a top-viewport point and the rect of the character
+   * there (top viewport), or null
+   */
+  caretFromPoint(x, y) {
+    const hit = this.elementFromPoint(x, y);
+    if (!hit) return null;
+
+    const doc = hit.element.ownerDocument;
+    let node = null;
+    let offset = 0;
+
+    if (doc.caretPositionFromPoint) {
+      // shadowRoots lets the caret land inside open shadow trees
+      const position = doc.caretPositionFromPoint(hit.x, hit.y, { shadowRoots: hit.shadowRoots });
+      if (position) {
+        node = position.offsetNode;
+        offset = position.offset;
+      }
+    } else if (doc.caretRangeFromPoint) {
+      const range = doc.caretRangeFromPoint(hit.x, hit.y);
+      if (range) {
+        node = range.startContainer;
+        offset = range.startOffset;
+      }
+    }
+
+    // Without shadowRoots support the caret is retargeted to the shadow
+    // host; find the text fragment under the point instead
+    if (!node || node.nodeType !== Node.TEXT_NODE || !hit.element.contains(node)) {
+      return this.findTextAtPoint(hit);
+    }
+
+    const rect = this.getCharRect(node, offset);
+    if (!rect) return null;
+    return { node, rect: this.translate(rect, hit.offsetX, hit.offsetY) };
+  }
+
+  /**
+   * Text node fragment (one line of it) containing a hit point
+   */
+  findTextAtPoint(hit) {
+    for (const { node } of this.walkText(hit.element)) {
+      for (const rect of this.getTextRects(node, 0, 0)) {
+        if (hit.x >= rect.left && hit.x <= rect.right && hit.y >= rect.top && hit.y <= rect.bottom) {
+          return { node, rect: this.translate(rect, hit.offsetX, hit.offsetY) };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Rect of the character at a caret offset, in its document's viewport
+   */
+  getCharRect(textNode, offset) {
+    const text = textNode.textContent;
+
+    try {
+      const range = textNode.ownerDocument.createRange();
+      const safeOffset = Math.min(offset, text.length - 1);
+      range.setStart(textNode, Math.max(0, safeOffset));
+      range.setEnd(textNode, Math.min(safeOffset + 1, text.length));
+      return range.getBoundingClientRect();
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Walk the text nodes under root, descending into open shadow roots and
+   * same-origin frames. Yields { node, offsetX, offsetY } where the offset
+   * translates the node's rects to the top viewport. accept(node) filters
+   * the nodes yielded.
+   */
+  *walkText(root, accept = null, offsetX = 0, offsetY = 0) {
+    const doc = root.ownerDocument || root;
+    const walker = doc.createTreeWalker(root, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+    let node = root;
+
+    while (node) {
+      if (node.nodeType === Node.TEXT_NODE) {
+        if (!accept || accept(node)) {
+          yield { node, offsetX, offsetY };
+        }
+      } else {
+        if (node.shadowRoot) {
+          yield* this.walkText(node.shadowRoot, accept, offsetX, offsetY);
+        }
+
+        const frameDocument = this.getFrameDocument(node);
+        if (frameDocument && frameDocument.body) {
+          const origin = this.getContentOrigin(node);
+          yield* this.walkText(frameDocument.body, accept, offsetX + origin.x, offsetY + origin.y);
+        }
+      }
+      node = walker.nextNode();
+    }
+  }
+
+  /**
+   * Client rects of a text node (or of its characters start..end),
+   * translated by an offset
+   */
+  getTextRects(textNode, offsetX, offsetY, start = null, end = null) {
+    const range = textNode.ownerDocument.createRange();
+    if (start === null) {
+      range.selectNodeContents(textNode);
+    } else {
+      range.setStart(textNode, start);
+      range.setEnd(textNode, end);
+    }
+
+    const rects = Array.from(range.getClientRects());
+    if (offsetX === 0 && offsetY === 0) return rects;
+    return rects.map(rect => this.translate(rect, offsetX, offsetY));
+  }
+
+  /**
+   * Bounding rect of an element in the top viewport
+   */
+  getBoundingClientRect(element) {
+    const rect = element.getBoundingClientRect();
+    if (element.ownerDocument === document) return rect;
+
+    const offset = this.getFrameOffset(element.ownerDocument);
+    return this.translate(rect, offset.x, offset.y);
+  }
+
+  /**
+   * Also call a top-document mousemove / scroll handler for events inside
+   * same-origin frames, with mouse coordinates in the top viewport
+   */
+  addFrameListener(type, handler) {
+    this.frameHandlers[type].add(handler);
+
+    if (!this.frameObserver) {
+      this.frameObserver = new MutationObserver(this.handleFrameMutations);
+      this.frameObserver.observe(document.documentElement, { childList: true, subtree: true });
+    }
+    this.listenToFrames(document);
+  }
+
+  /**
+   * Stop calling a handler for frame events; once no handlers are left,
+   * stop watching for frames and forwarding their events
+   */
+  removeFrameListener(type, handler) {
+    this.frameHandlers[type].delete(handler);
+
+    const hasHandlers = Object.values(this.frameHandlers).some(handlers => handlers.size > 0);
+    if (!hasHandlers) {
+      this.stopListeningToFrames();
+    }
+  }
+
+  /**
+   * Listen to every same-origin frame in a document and the frames nested
+   * in them; a frame is listened to again when it loads a new page
+   */
+  listenToFrames(doc) {
+    for (const frame of doc.querySelectorAll('iframe, frame')) {
+      if (!this.frames.has(frame)) {
+        const handleLoad = () => this.listenToFrames(doc);
+        this.frames.set(frame, handleLoad);
+        frame.addEventListener('load', handleLoad);
+      }
+
+      const frameDocument = this.getFrameDocument(frame);
+      if (!frameDocument || this.frameDocuments.has(frameDocument)) continue;
+
+      this.frameDocuments.add(frameDocument);
+      frameDocument.addEventListener('mousemove', this.forwardEvent, { passive: true });
+      frameDocument.addEventListener('scroll', this.forwardEvent, { capture: true, passive: true });
+      if (frameDocument.documentElement) {
+        this.frameObserver.observe(frameDocument.documentElement, { childList: true, subtree: true });
+      }
+      this.listenToFrames(frameDocument);
+    }
+  }
+
+  /**
+   * Pick up frames inserted after listening began (comment widgets and
+   * embedded viewers usually load late), and let go of removed ones so
+   * pages that rotate ad frames don't pile them up
+   */
+  handleFrameMutations(records) {
+    let removed = false;
+    for (const record of records) {
+      for (const node of record.addedNodes) {
+        if (this.holdsFrame(node)) {
+          this.listenToFrames(node.ownerDocument);
+          break;
+        }
+      }
+      if (!removed) {
+        removed = Array.from(record.removedNodes).some(node => this.holdsFrame(node));
+      }
+    }
+
+    if (removed) {
+      this.forgetDetachedFrames();
+    }
+  }
+
+  /**
+   * Whether a node is, or contains, a frame element
+   */
+  holdsFrame(node) {
+    if (node.nodeType !== Node.ELEMENT_NODE) return false;
+    return node.matches('iframe, frame') || node.querySelector('iframe, frame') !== null;
+  }
+
+  /**
+   * Drop frames no longer in the page, and documents of frames that were
+   * removed or navigated away
+   */
+  forgetDetachedFrames() {
+    this.frames.forEach((handleLoad, frame) => {
+      if (frame.isConnected && frame.ownerDocument.defaultView) return;
+      frame.removeEventListener('load', handleLoad);
+      this.frames.delete(frame);
+    });
+
+    this.frameDocuments.forEach(frameDocument => {
+      if (frameDocument.defaultView) return;
+      frameDocument.removeEventListener('mousemove', this.forwardEvent, { passive: true });
+      frameDocument.removeEventListener('scroll', this.forwardEvent, { capture: true, passive: true });
+      this.frameDocuments.delete(frameDocument);
+    });
+  }
+
+  stopListeningToFrames() {
+    if (this.frameObserver) {
+      this.frameObserver.disconnect();
+      this.frameObserver = null;
+    }
+
+    this.frames.forEach((handleLoad, frame) => frame.removeEventListener('load', handleLoad));
+    this.frames.clear();
+
+    this.frameDocuments.forEach(frameDocument => {
+      frameDocument.removeEventListener('mousemove', this.forwardEvent, { passive: true });
+      frameDocument.removeEventListener('scroll', this.forwardEvent, { capture: true, passive: true });
+    });
+    this.frameDocuments.clear();
+  }
+
+  forwardEvent(event) {
+    const handlers = this.frameHandlers[event.type];
+    if (!handlers || handlers.size === 0) return;
+
+    let forwarded = event;
+    if (event.type === 'mousemove') {
+      const target = event.target;
+      const offset = this.getFrameOffset(target.ownerDocument || target);
+      forwarded = {
+        type: event.type,
+        target,
+        clientX: event.clientX + offset.x,
+        clientY: event.clientY + offset.y
+      };
+    }
+
+    handlers.forEach(handler => handler(forwarded));
+  }
+}
+
+// Create global instance
+const deepText = new DeepText();
@@ -1,9 +1,12 @@
 /**
  * Page Dimmer - Creates a focused reading window
  * 
- * Two modes:
- * - Banner mode: Traditional top/bottom overlays (full width)
- * - Focused Box mode: Adaptive box that matches parent block width
+ * Shapes (settings.shape):
+ * - Banner: Traditional top/bottom overlays (full width)
+ * - Box: Adaptive box that matches parent block width
+ * - Gradient: Banner whose edges fade softly into the dimmed page
+ * - Spotlight: Soft-edged circle around the cursor
+ * - Paragraph: Undims exactly the block element being read
  */
 
 class Dimmer {
@@ -12,9 +15,13 @@ class Dimmer {
     this.topOverlay = null;
     this.bottomOverlay = null;
     
-    // Focused box mode element
+    // Focused box / paragraph mask element
     this.focusBox = null;
     
+    // Full-page overlay painted with a gradient (gradient and spotlight shapes)
+    this.maskOverlay = null;
+    this.maskBackground = '';
+    
     this.enabled = false;
     this.controlMode = 'mouse';
     this.settings = {
@@ -23,12 +30,17 @@ class Dimmer {
       windowHeight: 60,
       transitionSpeed: 100,
       scrollFade: true,
-      focusedBox: false  // true = adaptive focused box, false = full-width banner
+      focusedBox: false,  // true = adaptive focused box, false = full-width banner
+      shape: 'banner',  // 'banner' | 'box' | 'gradient' | 'spotlight' | 'paragraph'
+      edgeSoftness: 40,
+      spotlightRadius: 140
     };
     
     // Position tracking
     this.currentY = 0;
     this.targetY = 0;
+    this.currentX = 0;
+    this.targetX = 0;
     this.currentLeft = 0;
     this.targetLeft = 0;
     this.currentWidth = 0;
@@ -38,8 +50,9 @@ class Dimmer {
     // Scroll handling state
     this.isScrolling = false;
     
-    // Detection state (for focused box mode)
+    // Detection state (for focused box and paragraph shapes)
     this.isOverBlock = false;
+    this.block = null;
     this.lastMouseX = 0;
     this.lastMouseY = 0;
     
@@ -72,20 +85,51 @@ class Dimmer {
     if (this.enabled) {
       document.removeEventListener('mousemove', this.handleMouseMove);
       window.removeEventListener('scroll', this.handleScroll);
+      deepText.removeFrameListener('mousemove', this.handleMouseMove);
+      deepText.removeFrameListener('scroll', this.handleScroll);
 
       if (this.controlMode === 'mouse') {
         document.addEventListener('mousemove', this.handleMouseMove);
         window.addEventListener('scroll', this.handleScroll, { passive: true });
+        deepText.addFrameListener('mousemove', this.handleMouseMove);
+        deepText.addFrameListener('scroll', this.handleScroll);
       }
     }
   }
 
   /**
-   * Initialize the dimmer elements based on mode
+   * Current shape. Settings saved before shapes existed only have
+   * focusedBox, which stands for the box shape.
+   */
+  getShape() {
+    const shape = this.settings.shape || 'banner';
+    return shape === 'banner' && this.settings.focusedBox ? 'box' : shape;
+  }
+
+  /**
+   * Whether the shape is drawn with the focus box element
+   */
+  usesFocusBox() {
+    const shape = this.getShape();
+    return shape === 'box' || shape === 'paragraph';
+  }
+
+  /**
+   * Whether the shape is drawn with the gradient mask overlay
+   */
+  usesMask() {
+    const shape = this.getShape();
+    return shape === 'gradient' || shape === 'spotlight';
+  }
+
+  /**
+   * Initialize the dimmer elements based on shape
    */
   init() {
-    if (this.settings.focusedBox) {
+    if (this.usesFocusBox()) {
       this.initFocusBox();
+    } else if (this.usesMask()) {
+      this.initMaskOverlay();
     } else {
       this.initBannerMode();
     }
@@ -123,8 +167,8 @@ class Dimmer {
       display: none;
     `;
     
-    document.body.appendChild(this.topOverlay);
-    document.body.appendChild(this.bottomOverlay);
+    uiRoot.mount(this.topOverlay);
+    uiRoot.mount(this.bottomOverlay);
     
     this.applyBannerStyles();
   }
@@ -146,10 +190,34 @@ class Dimmer {
       border-radius: 6px;
     `;
     
-    document.body.appendChild(this.focusBox);
+    uiRoot.mount(this.focusBox);
     this.applyFocusBoxStyles();
   }
 
+  /**
+   * Initialize the full-page overlay for the gradient and spotlight shapes
+   */
+  initMaskOverlay() {
+    if (this.maskOverlay) return;
+    
+    this.maskOverlay = document.createElement('div');
+    this.maskOverlay.id = 'speed-reader-dimmer-mask';
+    this.maskOverlay.style.cssText = `
+      position: fixed;
+      top: 0;
+      left: 0;
+      width: 100%;
+      height: 100%;
+      pointer-events: none;
+      z-index: 2147483645;
+      display: none;
+    `;
+    this.maskBackground = '';
+    
+    uiRoot.mount(this.maskOverlay);
+    this.applyMaskStyles();
+  }
+
   /**
    * Apply styles to banner mode overlays
    */
@@ -190,6 +258,18 @@ class Dimmer {
     `;
   }
 
+  /**
+   * Apply styles to the gradient / spotlight overlay; the gradient itself
+   * is redrawn as the reading window moves
+   */
+  applyMaskStyles() {
+    if (!this.maskOverlay) return;
+    
+    this.maskOverlay.style.opacity = this.settings.opacity;
+    this.maskOverlay.style.transition = 'opacity 0.2s ease-in-out';
+    this.maskBackground = '';
+  }
+
   /**
    * Convert hex color to rgba
    */
@@ -204,8 +284,10 @@ class Dimmer {
    * Apply current settings
    */
   applyStyles() {
-    if (this.settings.focusedBox) {
+    if (this.usesFocusBox()) {
       this.applyFocusBoxStyles();
+    } else if (this.usesMask()) {
+      this.applyMaskStyles();
     } else {
       this.applyBannerStyles();
     }
@@ -215,12 +297,12 @@ class Dimmer {
    * Update settings
    */
   updateSettings(newSettings) {
-    const modeChanged = newSettings.focusedBox !== undefined && 
-                        newSettings.focusedBox !== this.settings.focusedBox;
+    const previousShape = this.getShape();
     
     this.settings = { ...this.settings, ...newSettings };
+    const modeChanged = this.getShape() !== previousShape;
     
-    // If mode changed while enabled, reinitialize
+    // If the shape changed while enabled, reinitialize
     if (modeChanged && this.enabled) {
       this.disable();
       this.destroyElements();
@@ -249,6 +331,10 @@ class Dimmer {
       this.focusBox.remove();
       this.focusBox = null;
     }
+    if (this.maskOverlay) {
+      this.maskOverlay.remove();
+      this.maskOverlay = null;
+    }
   }
 
   /**
@@ -260,11 +346,14 @@ class Dimmer {
     this.init();
     this.enabled = true;
     
-    if (this.settings.focusedBox) {
-      // Focus box mode - start hidden until we detect a block
+    if (this.usesFocusBox()) {
+      // Focus box / paragraph - start hidden until we detect a block
       this.focusBox.style.display = 'block';
       this.focusBox.style.opacity = '0';
       this.isOverBlock = false;
+      this.block = null;
+    } else if (this.usesMask()) {
+      this.maskOverlay.style.display = 'block';
     } else {
       // Banner mode
       this.topOverlay.style.display = 'block';
@@ -274,12 +363,14 @@ class Dimmer {
     // Set initial position to center of screen
     this.currentY = window.innerHeight / 2;
     this.targetY = this.currentY;
+    this.currentX = window.innerWidth / 2;
+    this.targetX = this.currentX;
     this.currentLeft = 0;
     this.targetLeft = 0;
     this.currentWidth = window.innerWidth;
     this.targetWidth = this.currentWidth;
     
-    if (!this.settings.focusedBox) {
+    if (!this.usesFocusBox()) {
       this.updatePosition();
     }
     
@@ -289,6 +380,8 @@ class Dimmer {
     if (this.controlMode === 'mouse') {
       document.addEventListener('mousemove', this.handleMouseMove);
       window.addEventListener('scroll', this.handleScroll, { passive: true });
+      deepText.addFrameListener('mousemove', this.handleMouseMove);
+      deepText.addFrameListener('scroll', this.handleScroll);
     }
     this.startAnimation();
   }
@@ -310,9 +403,14 @@ class Dimmer {
     if (this.focusBox) {
       this.focusBox.style.display = 'none';
     }
+    if (this.maskOverlay) {
+      this.maskOverlay.style.display = 'none';
+    }
     
     document.removeEventListener('mousemove', this.handleMouseMove);
     window.removeEventListener('scroll', this.handleScroll);
+    deepText.removeFrameListener('mousemove', this.handleMouseMove);
+    deepText.removeFrameListener('scroll', this.handleScroll);
     this.isScrolling = false;
     this.stopAnimation();
   }
@@ -330,6 +428,9 @@ class Dimmer {
     if (this.focusBox) {
       this.focusBox.style.display = 'none';
     }
+    if (this.maskOverlay) {
+      this.maskOverlay.style.display = 'none';
+    }
   }
 
   /**
@@ -338,10 +439,14 @@ class Dimmer {
   show() {
     if (!this.enabled) return;
 
-    if (this.settings.focusedBox) {
+    if (this.usesFocusBox()) {
       if (this.focusBox) {
         this.focusBox.style.display = 'block';
       }
+    } else if (this.usesMask()) {
+      if (this.maskOverlay) {
+        this.maskOverlay.style.display = 'block';
+      }
     } else {
       if (this.topOverlay) {
         this.topOverlay.style.display = 'block';
@@ -371,6 +476,7 @@ class Dimmer {
     this.lastMouseX = e.clientX;
     this.lastMouseY = e.clientY;
     this.targetY = e.clientY;
+    this.targetX = e.clientX;
     
     // If scrolling just ended, re-show dimmer
     if (this.isScrolling) {
@@ -378,14 +484,15 @@ class Dimmer {
       this.showAfterScroll();
     }
     
-    // Focused box mode: detect block under cursor
-    if (this.settings.focusedBox) {
+    // Focused box and paragraph shapes: detect block under cursor
+    if (this.usesFocusBox()) {
       this.detectBlockAtPoint(e.clientX, e.clientY);
     }
   }
 
   /**
-   * Detect block element at cursor position (for focused box mode)
+   * Detect block element at cursor position (for focused box and
+   * paragraph shapes)
    */
   detectBlockAtPoint(x, y) {
     // Check if over interactive element - hide if so
@@ -394,21 +501,24 @@ class Dimmer {
       return;
     }
     
-    const element = document.elementFromPoint(x, y);
-    if (!element || element === document.body || element === document.documentElement) {
+    // Look inside same-origin frames and open shadow roots too
+    const hit = deepText.elementFromPoint(x, y);
+    const element = hit && hit.element;
+    const doc = element && element.ownerDocument;
+    if (!element || element === doc.body || element === doc.documentElement) {
       this.isOverBlock = false;
       return;
     }
     
     // Find the block ancestor
     const block = this.getBlockAncestor(element);
-    if (!block || block === document.body) {
+    if (!block || block === doc.body) {
       this.isOverBlock = false;
       return;
     }
     
-    // Get block rect
-    const rect = block.getBoundingClientRect();
+    // Get block rect (top viewport)
+    const rect = deepText.getBoundingClientRect(block);
     
     // Validate rect
     if (rect.width < 50 || rect.height < 20) {
@@ -417,22 +527,33 @@ class Dimmer {
     }
     
     this.isOverBlock = true;
+    this.block = block;
     this.targetLeft = rect.left;
     this.targetWidth = rect.width;
   }
 
+  /**
+   * Undim a given block in the paragraph shape (keyboard mode)
+   */
+  setBlock(block) {
+    const body = block && block.ownerDocument.body;
+    this.block = block && block !== body ? block : null;
+    this.isOverBlock = !!this.block;
+  }
+
   /**
    * Check if cursor is over an interactive element
    */
   isOverInteractiveElement(x, y) {
-    const element = document.elementFromPoint(x, y);
-    if (!element) return false;
+    const hit = deepText.elementFromPoint(x, y);
+    if (!hit) return false;
     
-    let current = element;
-    while (current && current !== document.body) {
+    const body = hit.element.ownerDocument.body;
+    let current = hit.element;
+    while (current && current !== body) {
       if (this.interactiveTags.has(current.tagName)) return true;
       if (current.onclick || current.getAttribute('role') === 'button') return true;
-      current = current.parentElement;
+      current = deepText.getParentElement(current);
     }
     
     return false;
@@ -442,16 +563,17 @@ class Dimmer {
    * Find the nearest block-level ancestor
    */
   getBlockAncestor(node) {
-    let current = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    const body = node.ownerDocument.body;
+    let current = node.nodeType === Node.TEXT_NODE ? deepText.getParentElement(node) : node;
     
-    while (current && current !== document.body) {
+    while (current && current !== body) {
       if (this.blockTags.has(current.tagName)) {
         return current;
       }
-      current = current.parentElement;
+      current = deepText.getParentElement(current);
     }
     
-    return document.body;
+    return body;
   }
 
   /**
@@ -468,7 +590,15 @@ class Dimmer {
    * Hide dimmer during scroll
    */
   hideForScroll() {
-    if (this.settings.focusedBox) {
+    if (this.usesMask()) {
+      if (!this.maskOverlay) return;
+      
+      if (this.settings.scrollFade) {
+        this.maskOverlay.style.opacity = '0';
+      } else {
+        this.maskOverlay.style.display = 'none';
+      }
+    } else if (this.usesFocusBox()) {
       if (!this.focusBox) return;
       
       if (this.settings.scrollFade) {
@@ -495,7 +625,15 @@ class Dimmer {
   showAfterScroll() {
     if (!this.enabled) return;
     
-    if (this.settings.focusedBox) {
+    if (this.usesMask()) {
+      if (!this.maskOverlay) return;
+      
+      if (this.settings.scrollFade) {
+        this.maskOverlay.style.opacity = this.settings.opacity;
+      } else {
+        this.maskOverlay.style.display = 'block';
+      }
+    } else if (this.usesFocusBox()) {
       if (!this.focusBox) return;
       
       // Only show if over a block
@@ -522,13 +660,24 @@ class Dimmer {
   }
 
   /**
-   * Update position based on mode
+   * Update position based on shape
    */
   updatePosition() {
-    if (this.settings.focusedBox) {
-      this.updateFocusBoxPosition();
-    } else {
-      this.updateBannerPosition();
+    switch (this.getShape()) {
+      case 'box':
+        this.updateFocusBoxPosition();
+        break;
+      case 'paragraph':
+        this.updateParagraphPosition();
+        break;
+      case 'gradient':
+        this.updateGradientPosition();
+        break;
+      case 'spotlight':
+        this.updateSpotlightPosition();
+        break;
+      default:
+        this.updateBannerPosition();
     }
   }
 
@@ -575,6 +724,76 @@ class Dimmer {
     }
   }
 
+  /**
+   * Update the paragraph mask to the current block's rect, which is
+   * measured every frame so it follows reflows
+   */
+  updateParagraphPosition() {
+    if (!this.focusBox) return;
+    
+    if (!this.block || !this.block.isConnected) {
+      this.focusBox.style.opacity = '0';
+      return;
+    }
+    
+    const rect = deepText.getBoundingClientRect(this.block);
+    const padding = 4;
+    
+    this.focusBox.style.top = `${rect.top - padding}px`;
+    this.focusBox.style.left = `${rect.left - padding}px`;
+    this.focusBox.style.width = `${rect.width + padding * 2}px`;
+    this.focusBox.style.height = `${rect.height + padding * 2}px`;
+    
+    if (this.isOverBlock && !this.isScrolling) {
+      this.focusBox.style.opacity = '1';
+    } else {
+      this.focusBox.style.opacity = '0';
+    }
+  }
+
+  /**
+   * Update the soft-edged banner: clear around the reading window,
+   * fading to the dim color over edgeSoftness above and below it
+   */
+  updateGradientPosition() {
+    const { windowHeight, color, edgeSoftness } = this.settings;
+    const halfWindow = windowHeight / 2;
+    const top = Math.round(this.currentY - halfWindow);
+    const bottom = Math.round(this.currentY + halfWindow);
+    const clear = this.hexToRgba(color, 0);
+    
+    this.setMaskBackground(`linear-gradient(to bottom,
+      ${color} ${top - edgeSoftness}px,
+      ${clear} ${top}px,
+      ${clear} ${bottom}px,
+      ${color} ${bottom + edgeSoftness}px)`);
+  }
+
+  /**
+   * Update the spotlight: a clear circle around the cursor whose edge
+   * fades to the dim color over edgeSoftness
+   */
+  updateSpotlightPosition() {
+    const { color, edgeSoftness, spotlightRadius } = this.settings;
+    const x = Math.round(this.currentX);
+    const y = Math.round(this.currentY);
+    const clear = this.hexToRgba(color, 0);
+    const inner = Math.max(0, spotlightRadius - edgeSoftness);
+    
+    this.setMaskBackground(`radial-gradient(circle ${spotlightRadius}px at ${x}px ${y}px,
+      ${clear} ${inner}px,
+      ${color} ${spotlightRadius}px)`);
+  }
+
+  /**
+   * Set the mask overlay's gradient, skipping unchanged frames
+   */
+  setMaskBackground(background) {
+    if (!this.maskOverlay || background === this.maskBackground) return;
+    this.maskBackground = background;
+    this.maskOverlay.style.background = background;
+  }
+
   /**
    * Start smooth animation
    */
@@ -604,10 +823,13 @@ class Dimmer {
     // Interpolate Y position
     this.currentY += (this.targetY - this.currentY) * ease;
     
-    // Interpolate X position and width (for focused box mode)
-    if (this.settings.focusedBox) {
+    // Interpolate X position and width (for focused box shape)
+    const shape = this.getShape();
+    if (shape === 'box') {
       this.currentLeft += (this.targetLeft - this.currentLeft) * ease;
       this.currentWidth += (this.targetWidth - this.currentWidth) * ease;
+    } else if (shape === 'spotlight') {
+      this.currentX += (this.targetX - this.currentX) * ease;
     }
     
     this.updatePosition();
@@ -8,6 +8,7 @@ class KeybindingManager {
     this.bindings = {};
     this.actions = new Map();
     this.context = 'default'; // 'default' or 'rsvp'
+    this.contextDocument = null; // Only events from here match context bindings
     this.enabled = true;
     
     this.handleKeyDown = this.handleKeyDown.bind(this);
@@ -29,7 +30,8 @@ class KeybindingManager {
   }
 
   /**
-   * Register an action handler
+   * Register an action handler. Returning false from the handler lets the
+   * key through to the page as if nothing matched.
    */
   register(actionName, handler) {
     this.actions.set(actionName, handler);
@@ -49,6 +51,14 @@ class KeybindingManager {
     this.context = context;
   }
 
+  /**
+   * Limit context-specific shortcuts to events from one document (e.g. a
+   * pop-out window), or pass null to accept them from any document
+   */
+  setContextDocument(doc) {
+    this.contextDocument = doc;
+  }
+
   /**
    * Enable keybinding handling
    */
@@ -86,10 +96,10 @@ class KeybindingManager {
     if (matchedAction) {
       console.log('Prism Pacer - Matched action:', matchedAction);
       const handler = this.actions.get(matchedAction);
-      if (handler) {
+      // A handler returns false to leave the key to the page
+      if (handler && handler(event) !== false) {
         event.preventDefault();
         event.stopPropagation();
-        handler(event);
       }
     }
   }
@@ -104,12 +114,25 @@ class KeybindingManager {
         if (binding.context && binding.context !== this.context) {
           continue;
         }
+        if (binding.context && !this.isFromContextDocument(event)) {
+          continue;
+        }
         return actionName;
       }
     }
     return null;
   }
 
+  /**
+   * Whether the event came from the document context shortcuts are limited to
+   */
+  isFromContextDocument(event) {
+    if (!this.contextDocument) return true;
+    const target = event.target;
+    const doc = target && (target.ownerDocument || target);
+    return doc === this.contextDocument;
+  }
+
   /**
    * Check if an event matches a binding
    */
@@ -0,0 +1,252 @@
+/**
+ * Line Flow - Works out how text lines run inside an element (writing
+ * mode, direction and CSS columns), so the pacer and keyboard stepping can
+ * group text rects into visual lines and visit them in reading order
+ *
+ * A line has two axes: the inline axis runs along the line (left to right,
+ * right to left, or top to bottom in vertical writing) and the block axis
+ * is the one lines stack along (downwards, or sideways in vertical writing).
+ */
+
+class LineFlow {
+  constructor() {
+    // Flow used when there is no element to measure
+    this.defaultFlow = {
+      vertical: false,
+      inlineReverse: false,
+      blockReverse: false,
+      columns: null
+    };
+  }
+
+  /**
+   * Describe the line flow of an element:
+   * - vertical: lines run top to bottom (writing-mode vertical-* / sideways-*)
+   * - inlineReverse: lines are read right to left (or bottom to top)
+   * - blockReverse: lines stack right to left (vertical-rl)
+   * - columns: column boxes of the nearest multi-column container, or null
+   */
+  describe(element) {
+    if (!element || element.nodeType !== Node.ELEMENT_NODE) return this.defaultFlow;
+
+    const style = element.ownerDocument.defaultView.getComputedStyle(element);
+    const writingMode = style.writingMode || 'horizontal-tb';
+    const vertical = writingMode.startsWith('vertical') || writingMode.startsWith('sideways');
+
+    return {
+      vertical,
+      // sideways-lr runs bottom to top for left-to-right text
+      inlineReverse: (style.direction === 'rtl') !== (writingMode === 'sideways-lr'),
+      blockReverse: vertical && writingMode.endsWith('rl'),
+      columns: this.getColumns(element)
+    };
+  }
+
+  /**
+   * Column boxes of the nearest multi-column container: where the first
+   * column starts along the container's inline axis, the used column size
+   * and gap, which way columns run, and where columns begin and end along
+   * the block axis
+   */
+  getColumns(element) {
+    const doc = element.ownerDocument;
+    let container = element;
+    while (container && container !== doc.body && container !== doc.documentElement) {
+      const style = doc.defaultView.getComputedStyle(container);
+      // column-count and column-width are 'auto' unless columns are set
+      if (parseInt(style.columnCount) > 0 || parseFloat(style.columnWidth) > 0) {
+        return this.measureColumns(container, style);
+      }
+      container = deepText.getParentElement(container);
+    }
+    return null;
+  }
+
+  /**
+   * Used column count and width, as laid out by CSS multi-column
+   */
+  measureColumns(container, style) {
+    const writingMode = style.writingMode || 'horizontal-tb';
+    const vertical = writingMode.startsWith('vertical') || writingMode.startsWith('sideways');
+    const rect = deepText.getBoundingClientRect(container);
+    const fontSize = parseFloat(style.fontSize) || 16;
+    const gap = style.columnGap === 'normal' ? fontSize : parseFloat(style.columnGap) || 0;
+
+    const startPadding = parseFloat(vertical ? style.paddingTop : style.paddingLeft) || 0;
+    const endPadding = parseFloat(vertical ? style.paddingBottom : style.paddingRight) || 0;
+    const startBorder = parseFloat(vertical ? style.borderTopWidth : style.borderLeftWidth) || 0;
+    const endBorder = parseFloat(vertical ? style.borderBottomWidth : style.borderRightWidth) || 0;
+    const outerStart = vertical ? rect.top : rect.left;
+    const outerEnd = vertical ? rect.bottom : rect.right;
+    const contentStart = outerStart + startBorder + startPadding;
+    const contentEnd = outerEnd - endBorder - endPadding;
+    const available = Math.max(0, contentEnd - contentStart);
+
+    const count = parseInt(style.columnCount) || null;
+    const width = parseFloat(style.columnWidth) || null;
+    let used = count || 1;
+    if (width) {
+      const fit = Math.max(1, Math.floor((available + gap) / (width + gap)));
+      used = count ? Math.min(count, fit) : fit;
+    }
+
+    // Where every column begins and ends along the block axis
+    const blockStart = vertical
+      ? rect.left + (parseFloat(style.borderLeftWidth) || 0) + (parseFloat(style.paddingLeft) || 0)
+      : rect.top + (parseFloat(style.borderTopWidth) || 0) + (parseFloat(style.paddingTop) || 0);
+    const blockEnd = vertical
+      ? rect.right - (parseFloat(style.borderRightWidth) || 0) - (parseFloat(style.paddingRight) || 0)
+      : rect.bottom - (parseFloat(style.borderBottomWidth) || 0) - (parseFloat(style.paddingBottom) || 0);
+
+    const reverse = !vertical && style.direction === 'rtl';
+    return {
+      vertical,
+      reverse,
+      start: reverse ? contentEnd : contentStart,
+      size: Math.max(1, (available + gap) / used - gap),
+      gap,
+      blockStart,
+      blockEnd
+    };
+  }
+
+  /**
+   * Index of the column a rect sits in (0 without columns). Columns that
+   * overflow the container keep counting past the last one.
+   */
+  getColumnIndex(rect, flow) {
+    const columns = flow.columns;
+    if (!columns) return 0;
+
+    const middle = columns.vertical ? rect.top + rect.height / 2 : rect.left + rect.width / 2;
+    const offset = columns.reverse ? columns.start - middle : middle - columns.start;
+    return Math.max(0, Math.floor(offset / (columns.size + columns.gap)));
+  }
+
+  /**
+   * Middle of a rect along the block axis
+   */
+  getBlockMid(rect, flow) {
+    return flow.vertical ? rect.left + rect.width / 2 : rect.top + rect.height / 2;
+  }
+
+  /**
+   * Size of a rect across the line (its line height)
+   */
+  getThickness(rect, flow) {
+    return flow.vertical ? rect.width : rect.height;
+  }
+
+  /**
+   * Size of a rect along the line
+   */
+  getLength(rect, flow) {
+    return flow.vertical ? rect.height : rect.width;
+  }
+
+  /**
+   * Whether a rect sits on the same visual line as a reference rect: same
+   * column, and middles within 60% of a line height on the block axis
+   */
+  isSameLine(rect, reference, flow) {
+    const tolerance = Math.max(2, this.getThickness(reference, flow) * 0.6);
+    return Math.abs(this.getBlockMid(rect, flow) - this.getBlockMid(reference, flow)) <= tolerance &&
+      this.getColumnIndex(rect, flow) === this.getColumnIndex(reference, flow);
+  }
+
+  /**
+   * Bounding rect of a list of rects
+   */
+  merge(rects) {
+    let minLeft = Infinity;
+    let maxRight = -Infinity;
+    let minTop = Infinity;
+    let maxBottom = -Infinity;
+
+    for (const rect of rects) {
+      minLeft = Math.min(minLeft, rect.left);
+      maxRight = Math.max(maxRight, rect.right);
+      minTop = Math.min(minTop, rect.top);
+      maxBottom = Math.max(maxBottom, rect.bottom);
+    }
+
+    return new DOMRect(minLeft, minTop, maxRight - minLeft, maxBottom - minTop);
+  }
+
+  /**
+   * Range from the first to the last word of a block that sits on a line
+   * (a top-viewport rect), or null. Words in another document or shadow
+   * tree than the first one are left out, as a range cannot span them.
+   */
+  getLineRange(rect, block, flow) {
+    let range = null;
+
+    for (const { node, offsetX, offsetY } of deepText.walkText(block)) {
+      if (range && node.getRootNode() !== range.startContainer.getRootNode()) continue;
+
+      const nodeRects = deepText.getTextRects(node, offsetX, offsetY);
+      if (!nodeRects.some(nodeRect => this.isSameLine(nodeRect, rect, flow))) continue;
+
+      for (const match of node.data.matchAll(/\S+/g)) {
+        const end = match.index + match[0].length;
+        const onLine = deepText.getTextRects(node, offsetX, offsetY, match.index, end)
+          .some(wordRect => wordRect.width > 0 && this.isSameLine(wordRect, rect, flow));
+        if (!onLine) continue;
+
+        if (!range) {
+          range = node.ownerDocument.createRange();
+          range.setStart(node, match.index);
+        }
+        range.setEnd(node, end);
+      }
+    }
+
+    return range;
+  }
+
+  /**
+   * Group text rects into visual lines, in reading order
+   */
+  groupLines(rects, flow) {
+    const groups = [];
+
+    for (const rect of rects) {
+      const group = groups.find(candidate => this.isSameLine(rect, candidate.rect, flow));
+      if (group) {
+        group.rects.push(rect);
+        group.rect = this.merge(group.rects);
+      } else {
+        groups.push({ rects: [rect], rect });
+      }
+    }
+
+    return groups
+      .map(group => group.rect)
+      .sort((a, b) => this.compareLines(a, b, flow));
+  }
+
+  /**
+   * Reading order of two lines: by column, then along the block axis, then
+   * along the inline axis
+   */
+  compareLines(a, b, flow) {
+    const column = this.getColumnIndex(a, flow) - this.getColumnIndex(b, flow);
+    if (column !== 0) return column;
+
+    let block;
+    if (!flow.vertical) {
+      block = a.top - b.top;
+    } else {
+      block = flow.blockReverse ? b.right - a.right : a.left - b.left;
+    }
+    if (block !== 0) return block;
+
+    if (!flow.vertical) {
+      return flow.inlineReverse ? b.right - a.right : a.left - b.left;
+    }
+    return flow.inlineReverse ? b.bottom - a.bottom : a.top - b.top;
+  }
+}
+
+// Create global instance
+const lineFlow = new LineFlow();
@@ -35,8 +35,19 @@
     lineIndex: -1,
     lineHeight: 0,
     lastScanTop: 0,
-    lastScanBottom: 0
+    lastScanBottom: 0,
+    flow: lineFlow.defaultFlow
   };
+  // Auto-pace: the pacer steps through the pinned element's lines on a
+  // timer, in either control mode
+  let autoPace = {
+    active: false,
+    paused: false,
+    hovering: false,
+    timer: null,
+    lastStep: null
+  };
+  const autoPaceMinLineMs = 300;
   const tabStateRefreshMs = 10000;
   let lastTabStateCheck = 0;
   
@@ -54,6 +65,12 @@
     // Apply initial state
     applySettings(settings);
     
+    // Remember the pacer's line and mark where the page was last read
+    readingMarker.init();
+    
+    // Tint the lines the pacer has passed
+    pacer.addLineListener((rect, block, flow) => readTrail.track(rect, block, flow));
+    
     // Listen for settings changes from popup/storage
     chrome.storage.onChanged.addListener(handleStorageChange);
     
@@ -80,7 +97,7 @@
     return new Promise((resolve) => {
       chrome.storage.local.get(['settings'], (result) => {
         if (result.settings) {
-          resolve(result.settings);
+          resolve(withDefaults(result.settings));
         } else {
           // Use defaults
           resolve(getDefaultSettings());
@@ -89,6 +106,19 @@
     });
   }
   
+  /**
+   * Fill in settings added since the stored copy was saved
+   * (e.g. new keybindings), one section at a time
+   */
+  function withDefaults(stored) {
+    const merged = { ...stored };
+    for (const [section, defaults] of Object.entries(getDefaultSettings())) {
+      merged[section] = { ...defaults, ...(stored[section] || {}) };
+    }
+    merged.rsvp.theme = getStoredRsvpTheme(stored.rsvp);
+    return merged;
+  }
+  
   /**
    * Get default settings
    */
@@ -103,7 +133,19 @@
         offset: 0,
         smoothFollow: true,
         smartDetection: true,
-        scrollFade: true
+        scrollFade: true,
+        autoPaceWpm: 250,
+        style: 'underline',
+        bandOpacity: 0.25,
+        bandPadding: 2,
+        bracketWidth: 3,
+        bracketGap: 6,
+        dotSize: 10,
+        sweepWpm: 250,
+        rememberLine: true,
+        trail: false,
+        trailLength: 5,
+        trailColor: '#9ca3af'
       },
       dimmer: {
         enabled: false,
@@ -112,7 +154,10 @@
         windowHeight: 60,
         transitionSpeed: 100,
         scrollFade: true,
-        focusedBox: false
+        focusedBox: false,
+        shape: 'banner',
+        edgeSoftness: 40,
+        spotlightRadius: 140
       },
       controlMode: {
         mode: 'mouse',
@@ -125,17 +170,50 @@
         fontFamily: 'system-ui',
         pauseOnPunctuation: true,
         backgroundColor: '#1a1a1a',
-        textColor: '#ffffff'
+        textColor: '#ffffff',
+        orpAlignment: false,
+        pivotColor: '#ef4444',
+        timingModel: 'smart',
+        warmupWords: 10,
+        theme: 'dark',
+        displayMode: 'word',
+        flowLines: 4,
+        chunking: 'fixed',
+        maxChunkWidth: 20,
+        comprehensionCheck: false,
+        quizQuestions: 3,
+        trainingMode: 'off',
+        trainingStep: 25,
+        trainingSessions: 3,
+        trainingMaxPauses: 2,
+        trainingMinComprehension: 70,
+        codeBlocks: 'show',
+        popOut: false,
+        readAloud: false,
+        speechVoice: '',
+        speechLang: ''
       },
       keybindings: {
         togglePacer: { key: 'p', modifiers: ['Alt', 'Shift'] },
         toggleDimmer: { key: 'd', modifiers: ['Alt', 'Shift'] },
         toggleBoth: { key: 'b', modifiers: ['Alt', 'Shift'] },
         disableAll: { key: 'x', modifiers: ['Alt', 'Shift'] },
+        toggleAutoPace: { key: 'a', modifiers: ['Alt', 'Shift'] },
         startRsvp: { key: 'r', modifiers: ['Alt', 'Shift'] },
+        startRsvpHere: { key: 'h', modifiers: ['Alt', 'Shift'] },
+        addToQueue: { key: 'q', modifiers: ['Alt', 'Shift'] },
+        jumpToMarker: { key: 'j', modifiers: ['Alt', 'Shift'] },
         rsvpPause: { key: ' ', modifiers: [], context: 'rsvp' },
         rsvpSpeedUp: { key: 'ArrowRight', modifiers: [], context: 'rsvp' },
         rsvpSpeedDown: { key: 'ArrowLeft', modifiers: [], context: 'rsvp' },
+        rsvpPrevWord: { key: 'ArrowLeft', modifiers: ['Shift'], context: 'rsvp' },
+        rsvpNextWord: { key: 'ArrowRight', modifiers: ['Shift'], context: 'rsvp' },
+        rsvpPrevSentence: { key: 'ArrowUp', modifiers: [], context: 'rsvp' },
+        rsvpNextSentence: { key: 'ArrowDown', modifiers: [], context: 'rsvp' },
+        rsvpPrevParagraph: { key: 'ArrowUp', modifiers: ['Shift'], context: 'rsvp' },
+        rsvpNextParagraph: { key: 'ArrowDown', modifiers: ['Shift'], context: 'rsvp' },
+        rsvpToggleView: { key: 'v', modifiers: [], context: 'rsvp' },
+        rsvpPopOut: { key: 'p', modifiers: [], context: 'rsvp' },
         rsvpExit: { key: 'Escape', modifiers: [], context: 'rsvp' },
         increaseWindowHeight: { key: 'ArrowUp', modifiers: ['Alt', 'Shift'] },
         decreaseWindowHeight: { key: 'ArrowDown', modifiers: ['Alt', 'Shift'] },
@@ -273,21 +351,64 @@
       saveTabState('dimmer', false);
 
       cancelReadingPin();
+      stopRsvpHerePicker();
+      stopAutoPace();
       keyboardPausedByMouse = false;
     });
     
+    keybindingManager.register('toggleAutoPace', () => {
+      if (autoPace.active) {
+        stopAutoPace();
+        toast.toggle('Auto-Pace', false);
+        return;
+      }
+      
+      if (rsvpPlayer.isActive()) return;
+      startAutoPace();
+    });
+    
     keybindingManager.register('startRsvp', () => {
-      const selectedText = window.getSelection().toString().trim();
+      const selection = window.getSelection();
+      const selectedText = selection.toString().trim();
       if (selectedText) {
         rsvpPlayer.updateSettings(settings.rsvp);
-        rsvpPlayer.start(selectedText);
+        rsvpPlayer.startFromRange(selection.getRangeAt(0), selectedText);
+        return;
+      }
+
+      // No selection: fall back to the page's main article
+      const article = articleExtractor.extract();
+      if (!article) {
+        toast.show('No article found - select text first', '⚠', 2000);
+        return;
+      }
+
+      rsvpPlayer.updateSettings(settings.rsvp);
+      if (article.blocks.length > 0) {
+        rsvpPlayer.startBlocks(article.blocks);
       } else {
-        toast.show('Select text first', '⚠', 2000);
+        rsvpPlayer.start(article.text);
       }
     });
     
+    keybindingManager.register('startRsvpHere', () => {
+      if (rsvpPlayer.isActive()) return;
+      startRsvpHerePicker();
+    });
+    
+    keybindingManager.register('addToQueue', () => {
+      readingQueue.add('auto');
+    });
+    
+    keybindingManager.register('jumpToMarker', () => {
+      if (rsvpPlayer.isActive()) return;
+      jumpToReadingMarker();
+    });
+    
     // RSVP context controls
     keybindingManager.register('rsvpPause', () => {
+      // Space activates the focused answer while the quiz is open
+      if (rsvpPlayer.quiz) return false;
       if (rsvpPlayer.isActive()) {
         rsvpPlayer.togglePlay();
       }
@@ -305,6 +426,54 @@
       }
     });
     
+    keybindingManager.register('rsvpPrevWord', () => {
+      if (rsvpPlayer.isActive()) {
+        rsvpPlayer.seekWord(-1);
+      }
+    });
+    
+    keybindingManager.register('rsvpNextWord', () => {
+      if (rsvpPlayer.isActive()) {
+        rsvpPlayer.seekWord(1);
+      }
+    });
+    
+    keybindingManager.register('rsvpPrevSentence', () => {
+      if (rsvpPlayer.isActive()) {
+        rsvpPlayer.seekSentence(-1);
+      }
+    });
+    
+    keybindingManager.register('rsvpNextSentence', () => {
+      if (rsvpPlayer.isActive()) {
+        rsvpPlayer.seekSentence(1);
+      }
+    });
+    
+    keybindingManager.register('rsvpPrevParagraph', () => {
+      if (rsvpPlayer.isActive()) {
+        rsvpPlayer.seekParagraph(-1);
+      }
+    });
+    
+    keybindingManager.register('rsvpNextParagraph', () => {
+      if (rsvpPlayer.isActive()) {
+        rsvpPlayer.seekParagraph(1);
+      }
+    });
+    
+    keybindingManager.register('rsvpToggleView', () => {
+      if (rsvpPlayer.isActive()) {
+        rsvpPlayer.toggleDisplayMode();
+      }
+    });
+    
+    keybindingManager.register('rsvpPopOut', () => {
+      if (rsvpPlayer.isActive()) {
+        rsvpPlayer.togglePopOut();
+      }
+    });
+    
     keybindingManager.register('rsvpExit', () => {
       if (rsvpPlayer.isActive()) {
         rsvpPlayer.exit();
@@ -392,6 +561,13 @@
     lastTarget: null
   };
 
+  const rsvpHerePicker = {
+    active: false
+  };
+
+  // Containers that bound "read from here" (falls back to the whole body)
+  const rsvpHereContainerSelector = 'article, main, [role="main"]';
+
   const readingPinSelectors = [
     'article',
     'main',
@@ -429,15 +605,101 @@
     markdownPicker.overlay = createPickerOverlay();
     markdownPicker.highlight = createPickerHighlight();
     markdownPicker.tooltip = createPickerTooltip();
-    document.body.appendChild(markdownPicker.overlay);
-    document.body.appendChild(markdownPicker.highlight);
-    document.body.appendChild(markdownPicker.tooltip);
+    uiRoot.mount(markdownPicker.overlay);
+    uiRoot.mount(markdownPicker.highlight);
+    uiRoot.mount(markdownPicker.tooltip);
 
     document.addEventListener('mousemove', handlePickerMouseMove, true);
     document.addEventListener('click', handlePickerClick, true);
     document.addEventListener('keydown', handlePickerKeydown, true);
   }
 
+  function startRsvpHerePicker() {
+    if (rsvpHerePicker.active) {
+      return;
+    }
+
+    rsvpHerePicker.active = true;
+    document.body.classList.add('prism-pacer-rsvp-here-picking');
+    toast.show('Click a word to start reading from there', '📖', 3000);
+
+    document.addEventListener('click', handleRsvpHereClick, true);
+    document.addEventListener('keydown', handleRsvpHereKeydown, true);
+  }
+
+  function stopRsvpHerePicker() {
+    rsvpHerePicker.active = false;
+    document.body.classList.remove('prism-pacer-rsvp-here-picking');
+
+    document.removeEventListener('click', handleRsvpHereClick, true);
+    document.removeEventListener('keydown', handleRsvpHereKeydown, true);
+  }
+
+  function handleRsvpHereClick(event) {
+    if (!rsvpHerePicker.active) {
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    stopRsvpHerePicker();
+
+    const range = getRangeFromWordToEnd(event.clientX, event.clientY);
+    if (!range) {
+      toast.show('Click on a word', '⚠', 1500);
+      return;
+    }
+
+    rsvpPlayer.updateSettings(settings.rsvp);
+    rsvpPlayer.startFromRange(range);
+  }
+
+  function handleRsvpHereKeydown(event) {
+    if (!rsvpHerePicker.active) {
+      return;
+    }
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      stopRsvpHerePicker();
+    }
+  }
+
+  /**
+   * Build a range from the start of the word at a point to the end of its
+   * article (or the page)
+   */
+  function getRangeFromWordToEnd(x, y) {
+    let node = null;
+    let offset = 0;
+
+    if (document.caretRangeFromPoint) {
+      const caret = document.caretRangeFromPoint(x, y);
+      node = caret?.startContainer;
+      offset = caret?.startOffset || 0;
+    } else if (document.caretPositionFromPoint) {
+      const caret = document.caretPositionFromPoint(x, y);
+      node = caret?.offsetNode;
+      offset = caret?.offset || 0;
+    }
+
+    if (!node || node.nodeType !== Node.TEXT_NODE || !node.data.trim()) {
+      return null;
+    }
+
+    // Back up to the beginning of the clicked word
+    while (offset > 0 && !/\s/.test(node.data[offset - 1])) {
+      offset--;
+    }
+
+    const container = node.parentElement.closest(rsvpHereContainerSelector) || document.body;
+    const range = document.createRange();
+    range.setStart(node, offset);
+    range.setEnd(container, container.childNodes.length);
+    return range;
+  }
+
   function startReadingPin(target) {
     if (readingPin.active) {
       return;
@@ -449,9 +711,9 @@
     readingPin.overlay = createReadingPinOverlay();
     readingPin.highlight = createReadingPinHighlight();
     readingPin.tooltip = createReadingPinTooltip();
-    document.body.appendChild(readingPin.overlay);
-    document.body.appendChild(readingPin.highlight);
-    document.body.appendChild(readingPin.tooltip);
+    uiRoot.mount(readingPin.overlay);
+    uiRoot.mount(readingPin.highlight);
+    uiRoot.mount(readingPin.tooltip);
 
     updateReadingPinTooltipLabel();
 
@@ -561,6 +823,9 @@
     resetKeyboardCursor();
     enableKeyboardNarrow(requestedTarget);
     moveKeyboardLine(1, true);
+    if (autoPace.active) {
+      scheduleAutoPace();
+    }
   }
 
   function handleReadingPinKeydown(event) {
@@ -572,6 +837,9 @@
       event.preventDefault();
       event.stopPropagation();
       cancelReadingPin();
+      if (!pinnedElement) {
+        stopAutoPace();
+      }
     }
   }
 
@@ -834,8 +1102,7 @@
   }
 
   function moveKeyboardLine(direction, forceInit = false) {
-    if (controlMode !== 'keyboard') return;
-    if (keyboardView === 'broad') return;
+    if (!isLineSteppingMode()) return;
     if (readingPin.active) return;
     if (!pinnedElement) {
       startReadingPin('both');
@@ -933,14 +1200,18 @@
     const nextIndex = keyboardCursor.lineIndex + direction;
     if (nextIndex >= 0 && nextIndex < keyboardCursor.lineRects.length) {
       const nextRect = keyboardCursor.lineRects[nextIndex];
+      if (turnToColumn(nextRect, direction)) return;
+
       const { zoneTop, zoneBottom } = getReadingZone(getScrollContainer(pinnedElement));
+      // Vertical lines are already limited to the reading zone's width
+      const vertical = keyboardCursor.flow.vertical;
 
-      if (direction > 0 && nextRect.bottom >= zoneBottom) {
+      if (direction > 0 && !vertical && nextRect.bottom >= zoneBottom) {
         pageTurn(1);
         return;
       }
 
-      if (direction < 0 && nextRect.top <= zoneTop) {
+      if (direction < 0 && !vertical && nextRect.top <= zoneTop) {
         pageTurn(-1);
         return;
       }
@@ -957,20 +1228,274 @@
     return;
   }
 
+  /**
+   * Line stepping runs in keyboard mode (narrow view) and during auto-pace
+   */
+  function isLineSteppingMode() {
+    return (controlMode === 'keyboard' && keyboardView !== 'broad') || autoPace.active;
+  }
+
+  /**
+   * Start auto-pace on the pinned element, asking for one first if needed
+   */
+  function startAutoPace() {
+    if (controlMode === 'keyboard' && keyboardView === 'broad') {
+      toast.show('Auto-pace needs the narrow keyboard view', '⚠', 1500);
+      return;
+    }
+
+    autoPace.active = true;
+    autoPace.paused = false;
+    autoPace.hovering = false;
+    autoPace.lastStep = null;
+
+    // The pacer and dimmer follow the stepped line, not the mouse
+    pacer.setControlMode('keyboard');
+    dimmer.setControlMode('keyboard');
+    document.addEventListener('keydown', handleAutoPaceKeydown, true);
+    document.addEventListener('mousemove', handleAutoPaceMouseMove, { passive: true });
+    window.addEventListener('scroll', handleAutoPaceScroll, { passive: true });
+
+    toast.toggle('Auto-Pace', true);
+
+    if (!pinnedElement || !document.body.contains(pinnedElement)) {
+      pinnedElement = null;
+      startReadingPin(getAutoPaceTarget());
+      return;
+    }
+
+    if (!pacer.isEnabled() && !dimmer.isEnabled()) {
+      enableKeyboardNarrow('pacer');
+    }
+    moveKeyboardLine(1, true);
+    scheduleAutoPace();
+  }
+
+  function stopAutoPace() {
+    if (!autoPace.active) return;
+
+    clearTimeout(autoPace.timer);
+    autoPace = {
+      active: false,
+      paused: false,
+      hovering: false,
+      timer: null,
+      lastStep: null
+    };
+    document.removeEventListener('keydown', handleAutoPaceKeydown, true);
+    document.removeEventListener('mousemove', handleAutoPaceMouseMove);
+    window.removeEventListener('scroll', handleAutoPaceScroll);
+
+    pacer.setControlMode(controlMode);
+    dimmer.setControlMode(controlMode);
+    if (controlMode !== 'keyboard') {
+      pinnedElement = null;
+      resetKeyboardCursor();
+      lastPageTurnDirection = 0;
+    }
+  }
+
+  /**
+   * Features to show while auto-pacing: whatever is on, or the pacer
+   */
+  function getAutoPaceTarget() {
+    if (pacer.isEnabled() && dimmer.isEnabled()) return 'both';
+    if (dimmer.isEnabled()) return 'dimmer';
+    return 'pacer';
+  }
+
+  /**
+   * Hold the current line for as long as its words take at the target WPM
+   */
+  function scheduleAutoPace() {
+    clearTimeout(autoPace.timer);
+    autoPace.timer = null;
+    if (!autoPace.active || autoPace.paused || autoPace.hovering || !pinnedElement) return;
+
+    const rect = keyboardCursor.lineRects[keyboardCursor.lineIndex];
+    if (!rect) return;
+
+    const wpm = settings.pacer.autoPaceWpm || 250;
+    const delay = Math.max(autoPaceMinLineMs, (countLineWords(rect) / wpm) * 60000);
+    autoPace.timer = setTimeout(advanceAutoPace, delay);
+  }
+
+  function advanceAutoPace() {
+    autoPace.timer = null;
+
+    if (!pacer.isEnabled() && !dimmer.isEnabled()) {
+      stopAutoPace();
+      return;
+    }
+
+    // Hold position while RSVP covers the page
+    if (rsvpPlayer.isActive()) {
+      scheduleAutoPace();
+      return;
+    }
+
+    moveKeyboardLine(1);
+
+    // Stop when the element has scrolled away or the page can't scroll
+    // any further (stepping went back to an earlier line without the page
+    // moving on). Lines are in reading order, so with columns the next line
+    // can sit above the previous one.
+    const rect = keyboardCursor.lineRects[keyboardCursor.lineIndex];
+    const step = rect
+      ? { offset: getScrollOffset(getScrollContainer(pinnedElement)), index: keyboardCursor.lineIndex }
+      : null;
+    const last = autoPace.lastStep;
+    if (!pinnedElement || !rect ||
+        (last && step.offset <= last.offset && step.index <= last.index)) {
+      stopAutoPace();
+      toast.show('Auto-pace finished', '✓', 1500);
+      return;
+    }
+
+    autoPace.lastStep = step;
+    scheduleAutoPace();
+  }
+
+  /**
+   * How far the container has scrolled in reading direction; vertical
+   * writing scrolls sideways (to negative offsets for right-to-left lines)
+   */
+  function getScrollOffset(scrollContainer) {
+    if (keyboardCursor.flow.vertical) {
+      return Math.abs(scrollContainer === window ? window.scrollX : scrollContainer.scrollLeft);
+    }
+    return scrollContainer === window ? window.scrollY : scrollContainer.scrollTop;
+  }
+
+  /**
+   * Count the words of the pinned element whose middle falls on a line
+   */
+  function countLineWords(rect) {
+    if (!pinnedElement) return 1;
+
+    const flow = keyboardCursor.flow;
+    const onLine = (wordRect) => wordRect.width > 0 && wordRect.height > 0 && lineFlow.isSameLine(wordRect, rect, flow);
+    let count = 0;
+
+    for (const { node: textNode, offsetX, offsetY } of deepText.walkText(pinnedElement)) {
+      if (!deepText.getTextRects(textNode, offsetX, offsetY).some(onLine)) continue;
+
+      for (const match of textNode.data.matchAll(/\S+/g)) {
+        const end = match.index + match[0].length;
+        if (deepText.getTextRects(textNode, offsetX, offsetY, match.index, end).some(onLine)) {
+          count++;
+        }
+      }
+    }
+
+    return Math.max(1, count);
+  }
+
+  /**
+   * Space pauses and resumes auto-pace; the up and down arrows step a line
+   * back or on and restart the line's timer, in either control mode
+   */
+  function handleAutoPaceKeydown(event) {
+    if (event.altKey || event.shiftKey || event.ctrlKey || event.metaKey) return;
+    if (readingPin.active || rsvpPlayer.isActive() || isEditableTarget(event.target)) return;
+
+    if (event.key === 'ArrowUp' || event.key === 'ArrowDown') {
+      if (!pacer.isEnabled() && !dimmer.isEnabled()) return;
+
+      event.preventDefault();
+      event.stopPropagation();
+      moveKeyboardLine(event.key === 'ArrowUp' ? -1 : 1);
+      // Stepping back must not read as the page having run out
+      autoPace.lastStep = null;
+      scheduleAutoPace();
+      return;
+    }
+
+    if (event.key !== ' ') return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    autoPace.paused = !autoPace.paused;
+    toast.show(autoPace.paused ? 'Auto-pace paused' : 'Auto-pace resumed', autoPace.paused ? '⏸' : '▶', 1000);
+    scheduleAutoPace();
+  }
+
+  /**
+   * Hovering the current line holds it until the pointer moves away
+   */
+  function handleAutoPaceMouseMove(event) {
+    const rect = keyboardLastRect;
+    const hovering = !!rect &&
+      event.clientX >= rect.left && event.clientX <= rect.right &&
+      event.clientY >= rect.top - 4 && event.clientY <= rect.bottom + 4;
+    if (hovering === autoPace.hovering) return;
+
+    autoPace.hovering = hovering;
+    scheduleAutoPace();
+  }
+
+  /**
+   * Scrolling during auto-pace continues from the top of the new view
+   */
+  function handleAutoPaceScroll() {
+    if (keyboardNavigationActive) return;
+    keyboardCacheDirty = true;
+    autoPace.lastStep = null;
+  }
+
+  /**
+   * Scroll the "You were here" marker to the upper third of the view
+   */
+  function jumpToReadingMarker() {
+    const target = readingMarker.getTarget();
+    if (!target) {
+      toast.show('No saved reading position on this page', '⚠', 1500);
+      return;
+    }
+
+    const scrollContainer = getScrollContainer(target.element);
+    if (scrollContainer === window) {
+      window.scrollBy({ top: target.rect.top - window.innerHeight / 3, behavior: 'smooth' });
+    } else {
+      const containerTop = scrollContainer.getBoundingClientRect().top;
+      scrollContainer.scrollBy({
+        top: target.rect.top - containerTop - scrollContainer.clientHeight / 3,
+        behavior: 'smooth'
+      });
+    }
+
+    // Keyboard stepping carries on from the marked line's new view
+    keyboardCacheDirty = true;
+    readingMarker.flash();
+  }
+
   function pageTurn(direction) {
     if (!pinnedElement) return;
 
     lastPageTurnDirection = direction;
     const scrollContainer = getScrollContainer(pinnedElement);
-    const viewportHeight = scrollContainer === window
-      ? window.innerHeight
-      : scrollContainer.clientHeight;
-    const offset = Math.round(viewportHeight * 0.77) * direction;
+    const flow = keyboardCursor.flow;
+
+    // Vertical writing turns pages sideways: leftwards when lines run right to left
+    let scroll;
+    if (flow.vertical) {
+      const viewportWidth = scrollContainer === window
+        ? window.innerWidth
+        : scrollContainer.clientWidth;
+      const offset = Math.round(viewportWidth * 0.77) * direction * (flow.blockReverse ? -1 : 1);
+      scroll = { top: 0, left: offset, behavior: 'auto' };
+    } else {
+      const viewportHeight = scrollContainer === window
+        ? window.innerHeight
+        : scrollContainer.clientHeight;
+      const offset = Math.round(viewportHeight * 0.77) * direction;
+      scroll = { top: offset, left: 0, behavior: 'auto' };
+    }
 
     if (scrollContainer === window) {
-      window.scrollBy({ top: offset, left: 0, behavior: 'auto' });
+      window.scrollBy(scroll);
     } else {
-      scrollContainer.scrollBy({ top: offset, left: 0, behavior: 'auto' });
+      scrollContainer.scrollBy(scroll);
     }
     resetKeyboardCursor();
     buildVisibleLineCache();
@@ -987,6 +1512,48 @@
     updateKeyboardVisuals(keyboardCursor.lineRects[keyboardCursor.lineIndex]);
   }
 
+  /**
+   * Only the visible part of a column taller than the view is cached, so
+   * stepping into the next column would land in its middle. Scroll the
+   * column's start (its end, going back) into the reading zone first and
+   * step onto its first (last) line. Returns whether it turned.
+   */
+  function turnToColumn(nextRect, direction) {
+    const flow = keyboardCursor.flow;
+    const columns = flow.columns;
+    if (!columns || columns.vertical || flow.vertical) return false;
+
+    const currentRect = keyboardCursor.lineRects[keyboardCursor.lineIndex];
+    const column = lineFlow.getColumnIndex(nextRect, flow);
+    if (!currentRect || column === lineFlow.getColumnIndex(currentRect, flow)) return false;
+
+    const scrollContainer = getScrollContainer(pinnedElement);
+    const { zoneTop, zoneBottom } = getReadingZone(scrollContainer);
+    const offset = direction > 0 ? columns.blockStart - zoneTop : columns.blockEnd - zoneBottom;
+    if (direction > 0 ? offset >= -4 : offset <= 4) return false;
+
+    const scroll = { top: Math.round(offset), left: 0, behavior: 'auto' };
+    if (scrollContainer === window) {
+      window.scrollBy(scroll);
+    } else {
+      scrollContainer.scrollBy(scroll);
+    }
+    lastPageTurnDirection = 0;
+    resetKeyboardCursor();
+    buildVisibleLineCache();
+
+    const inColumn = keyboardCursor.lineRects
+      .map((lineRect, index) => ({ index, column: lineFlow.getColumnIndex(lineRect, keyboardCursor.flow) }))
+      .filter(entry => entry.column === column);
+    if (inColumn.length === 0) {
+      keyboardCursor.lineIndex = direction > 0 ? 0 : keyboardCursor.lineRects.length - 1;
+    } else {
+      keyboardCursor.lineIndex = inColumn[direction > 0 ? 0 : inColumn.length - 1].index;
+    }
+    updateKeyboardVisuals(keyboardCursor.lineRects[keyboardCursor.lineIndex]);
+    return true;
+  }
+
   function updateKeyboardVisuals(rect) {
     if (!rect) return;
     const lineHeight = keyboardCursor.lineHeight || rect.height || 20;
@@ -995,14 +1562,7 @@
     const targetHeight = Math.max(20, Math.min(200, rect.height + padding));
 
     if (pacer.isEnabled()) {
-      pacer.show();
-      if (pacer.element) {
-        pacer.element.style.top = `${rect.bottom - settings.pacer.height / 2}px`;
-        pacer.element.style.left = `${rect.left}px`;
-        pacer.element.style.width = `${rect.width}px`;
-        pacer.element.style.transform = 'none';
-        pacer.element.style.opacity = settings.pacer.opacity;
-      }
+      pacer.showLine(rect, pinnedElement, keyboardCursor.flow);
     }
 
     if (dimmer.isEnabled()) {
@@ -1011,11 +1571,19 @@
       dimmer.currentY = centerY;
       dimmer.targetY = centerY;
 
-      if (dimmer.settings.focusedBox && pinnedElement) {
+      const shape = dimmer.getShape();
+      if (shape === 'box' && pinnedElement) {
         const pinRect = pinnedElement.getBoundingClientRect();
         dimmer.isOverBlock = true;
         dimmer.targetLeft = pinRect.left;
         dimmer.targetWidth = pinRect.width;
+      } else if (shape === 'paragraph') {
+        // The block holding the line, not the whole reading element
+        const hit = deepText.elementFromPoint(rect.left + rect.width / 2, centerY);
+        dimmer.setBlock(hit ? dimmer.getBlockAncestor(hit.element) : pinnedElement);
+      } else if (shape === 'spotlight') {
+        dimmer.currentX = rect.left + rect.width / 2;
+        dimmer.targetX = dimmer.currentX;
       }
 
       dimmer.updatePosition();
@@ -1030,10 +1598,14 @@
 
     const rect = pinnedElement.getBoundingClientRect();
     const scrollContainer = getScrollContainer(pinnedElement);
-    const { zoneTop, zoneBottom } = getReadingZone(scrollContainer);
+    const { zoneTop, zoneBottom, zoneLeft, zoneRight } = getReadingZone(scrollContainer);
+    const flow = lineFlow.describe(pinnedElement);
+    keyboardCursor.flow = flow;
     const viewTop = Math.max(zoneTop, rect.top);
     const viewBottom = Math.min(zoneBottom, rect.bottom);
-    if (viewBottom <= viewTop) {
+    const viewLeft = Math.max(zoneLeft, rect.left);
+    const viewRight = Math.min(zoneRight, rect.right);
+    if (viewBottom <= viewTop || (flow.vertical && viewRight <= viewLeft)) {
       keyboardCursor.lineRects = [];
       return;
     }
@@ -1043,37 +1615,30 @@
     const scanBottom = Math.min(rect.bottom, viewBottom + buffer);
 
     const lineRects = [];
-    const walker = document.createTreeWalker(
-      pinnedElement,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: (node) => {
-          if (!node.textContent || node.textContent.trim().length === 0) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          const parent = node.parentElement;
-          if (!parent) return NodeFilter.FILTER_REJECT;
-          if (isInteractiveElement(parent)) return NodeFilter.FILTER_REJECT;
-          if (parent.isContentEditable) return NodeFilter.FILTER_REJECT;
-          const tag = parent.tagName.toUpperCase();
-          if (tag === 'SCRIPT' || tag === 'STYLE' || tag === 'INPUT' || tag === 'TEXTAREA') {
-            return NodeFilter.FILTER_REJECT;
-          }
-          return NodeFilter.FILTER_ACCEPT;
-        }
-      }
-    );
+    // Text in open shadow roots and same-origin frames counts too, with
+    // its rects translated to the top viewport
+    const textNodes = deepText.walkText(pinnedElement, (node) => {
+      if (!node.textContent || node.textContent.trim().length === 0) return false;
+      const parent = deepText.getParentElement(node);
+      if (!parent) return false;
+      if (isInteractiveElement(parent)) return false;
+      if (parent.isContentEditable) return false;
+      const tag = parent.tagName.toUpperCase();
+      return tag !== 'SCRIPT' && tag !== 'STYLE' && tag !== 'INPUT' && tag !== 'TEXTAREA';
+    });
 
-    let textNode;
-    while ((textNode = walker.nextNode())) {
+    for (const { node: textNode, offsetX, offsetY } of textNodes) {
       try {
-        const range = document.createRange();
-        range.selectNodeContents(textNode);
-        const rects = range.getClientRects();
+        const rects = deepText.getTextRects(textNode, offsetX, offsetY);
         for (const lineRect of rects) {
-          if (lineRect.width < 20 || lineRect.height === 0) continue;
+          if (lineFlow.getLength(lineRect, flow) < 20 || lineFlow.getThickness(lineRect, flow) === 0) continue;
           if (lineRect.bottom < scanTop || lineRect.top > scanBottom) continue;
-          if (lineRect.top < viewTop - 4 || lineRect.bottom > viewBottom + 4) continue;
+          if (flow.vertical) {
+            // Vertical lines stack sideways, so they have to fit the zone's width
+            if (lineRect.left < viewLeft - 4 || lineRect.right > viewRight + 4) continue;
+          } else if (lineRect.top < viewTop - 4 || lineRect.bottom > viewBottom + 4) {
+            continue;
+          }
           lineRects.push(lineRect);
         }
       } catch (e) {
@@ -1081,42 +1646,10 @@
       }
     }
 
-    const sorted = lineRects.sort((a, b) => a.top - b.top || a.left - b.left);
-    const groups = [];
-
-    for (const lineRect of sorted) {
-      const lineMid = lineRect.top + lineRect.height / 2;
-      let group = null;
-
-      for (const candidate of groups) {
-        const candidateMid = (candidate.top + candidate.bottom) / 2;
-        const tolerance = Math.max(2, lineRect.height * 0.6);
-        if (Math.abs(candidateMid - lineMid) <= tolerance) {
-          group = candidate;
-          break;
-        }
-      }
-
-      if (!group) {
-        group = {
-          top: lineRect.top,
-          bottom: lineRect.bottom,
-          left: lineRect.left,
-          right: lineRect.right
-        };
-        groups.push(group);
-      } else {
-        group.top = Math.min(group.top, lineRect.top);
-        group.bottom = Math.max(group.bottom, lineRect.bottom);
-        group.left = Math.min(group.left, lineRect.left);
-        group.right = Math.max(group.right, lineRect.right);
-      }
-    }
-
-    const merged = groups
-      .map((group) => new DOMRect(group.left, group.top, group.right - group.left, group.bottom - group.top))
-      .filter((rect) => rect.width >= 20 && rect.height > 0)
-      .sort((a, b) => a.top - b.top || a.left - b.left);
+    // Group into visual lines in reading order: column by column, following
+    // the writing mode and direction of the pinned element
+    const merged = lineFlow.groupLines(lineRects, flow)
+      .filter((lineRect) => lineFlow.getLength(lineRect, flow) >= 20 && lineFlow.getThickness(lineRect, flow) > 0);
 
     keyboardCursor.lineRects = merged;
     keyboardCursor.lastScanTop = scanTop;
@@ -1154,17 +1687,23 @@
   function getReadingZone(scrollContainer) {
     if (scrollContainer === window) {
       const viewportHeight = window.innerHeight;
+      const viewportWidth = window.innerWidth;
       return {
         zoneTop: viewportHeight * 0.1,
-        zoneBottom: viewportHeight * 0.9
+        zoneBottom: viewportHeight * 0.9,
+        zoneLeft: viewportWidth * 0.1,
+        zoneRight: viewportWidth * 0.9
       };
     }
 
     const rect = scrollContainer.getBoundingClientRect();
     const viewportHeight = scrollContainer.clientHeight;
+    const viewportWidth = scrollContainer.clientWidth;
     return {
       zoneTop: rect.top + viewportHeight * 0.1,
-      zoneBottom: rect.top + viewportHeight * 0.9
+      zoneBottom: rect.top + viewportHeight * 0.9,
+      zoneLeft: rect.left + viewportWidth * 0.1,
+      zoneRight: rect.left + viewportWidth * 0.9
     };
   }
 
@@ -1173,13 +1712,16 @@
       return 0;
     }
 
-    const targetY = rect.top + rect.height / 2;
+    const flow = keyboardCursor.flow;
+    const targetMid = lineFlow.getBlockMid(rect, flow);
+    const targetColumn = lineFlow.getColumnIndex(rect, flow);
     let bestIndex = 0;
     let bestDistance = Infinity;
 
     keyboardCursor.lineRects.forEach((lineRect, index) => {
-      const lineY = lineRect.top + lineRect.height / 2;
-      const distance = Math.abs(lineY - targetY);
+      // Prefer lines in the same column, then the nearest across lines
+      const columnDistance = Math.abs(lineFlow.getColumnIndex(lineRect, flow) - targetColumn);
+      const distance = columnDistance * 100000 + Math.abs(lineFlow.getBlockMid(lineRect, flow) - targetMid);
       if (distance < bestDistance) {
         bestDistance = distance;
         bestIndex = index;
@@ -1348,6 +1890,8 @@
       setCursorHidden(false);
     }
     
+    readingMarker.updateSettings(settings.pacer, settings.keybindings?.jumpToMarker);
+    
     // Update RSVP settings
     rsvpPlayer.updateSettings(settings.rsvp);
     
@@ -1372,18 +1916,28 @@
       document.removeEventListener('mousemove', handleKeyboardModeMouseMove);
       window.removeEventListener('scroll', handleKeyboardModeScroll);
       document.removeEventListener('keydown', handleKeyboardModeArrowKeys, true);
-      cancelReadingPin();
       keyboardPausedByMouse = false;
-      resetKeyboardCursor();
-      pinnedElement = null;
-      lastPageTurnDirection = 0;
-      keyboardLastRect = null;
+      if (!autoPace.active) {
+        cancelReadingPin();
+        resetKeyboardCursor();
+        pinnedElement = null;
+        lastPageTurnDirection = 0;
+        keyboardLastRect = null;
+      }
+    }
+
+    // Auto-pace keeps the pacer and dimmer on the stepped line
+    if (autoPace.active) {
+      pacer.setControlMode('keyboard');
+      dimmer.setControlMode('keyboard');
     }
   }
 
   function handleKeyboardModeArrowKeys(event) {
     if (controlMode !== 'keyboard') return;
     if (keyboardView === 'broad') return;
+    // Auto-pace handles the arrows itself so it can restart its timer
+    if (autoPace.active) return;
     if (readingPin.active) return;
     if (rsvpPlayer.isActive()) return;
     if (!pacer.isEnabled() && !dimmer.isEnabled()) return;
@@ -1501,7 +2055,8 @@
       lineIndex: -1,
       lineHeight: 0,
       lastScanTop: 0,
-      lastScanBottom: 0
+      lastScanBottom: 0,
+      flow: lineFlow.defaultFlow
     };
     keyboardCacheDirty = false;
     keyboardLastRect = null;
@@ -1509,6 +2064,7 @@
 
   function handleKeyboardModeMouseMove() {
     if (controlMode !== 'keyboard') return;
+    if (autoPace.active) return;
     if (!pacer.isEnabled() && !dimmer.isEnabled()) return;
     if (keyboardView === 'broad') return;
 
@@ -1523,6 +2079,7 @@
 
   function handleKeyboardModeScroll() {
     if (controlMode !== 'keyboard') return;
+    if (autoPace.active) return;
     if (!pacer.isEnabled() && !dimmer.isEnabled()) return;
     if (keyboardView === 'broad') return;
     if (keyboardNavigationActive) return;
@@ -1560,7 +2117,7 @@
   function handleStorageChange(changes, namespace) {
     if (namespace === 'local') {
       if (changes.settings) {
-        settings = changes.settings.newValue;
+        settings = withDefaults(changes.settings.newValue || {});
         applySettings(settings);
       }
     }
@@ -1595,6 +2152,19 @@
       sendResponse({ success: true });
     }
     
+    if (message.type === 'QUEUE_ADD_FROM_PAGE') {
+      readingQueue.add(message.scope, message.selectionText);
+      sendResponse({ success: true });
+    }
+    
+    if (message.type === 'QUEUE_PLAY') {
+      if (!rsvpPlayer.isActive()) {
+        rsvpPlayer.updateSettings(settings.rsvp);
+        readingQueue.play();
+      }
+      sendResponse({ success: true });
+    }
+    
     if (message.type === 'GET_STATE') {
       sendResponse({
         pacerEnabled: pacer.isEnabled(),
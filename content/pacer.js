@@ -5,7 +5,12 @@
  * Features:
  * - Basic mode: Full-width line follows cursor Y position
  * - Smart mode: Detects text under cursor and underlines the full visual line
- *   (handles inline elements like <code>, <strong>, <a>, etc.)
+ *   (handles inline elements like <code>, <strong>, <a>, etc.), following
+ *   vertical writing, right-to-left text and CSS columns
+ * - Styles: underline bar, highlighter band behind the line, brackets at
+ *   the line's ends, or a dot / word sweep travelling along the line at
+ *   reading speed (detected lines only; basic mode always underlines)
+ * - Read trail: optionally tints the last few lines already read
  */
 
 class Pacer {
@@ -21,7 +26,17 @@ class Pacer {
       offset: 0,
       smoothFollow: true,
       smartDetection: true,
-      scrollFade: true  // true = fade animation, false = instant hide
+      scrollFade: true,  // true = fade animation, false = instant hide
+      style: 'underline',  // 'underline' | 'band' | 'bracket' | 'dot' | 'sweep'
+      bandOpacity: 0.25,
+      bandPadding: 2,
+      bracketWidth: 3,
+      bracketGap: 6,
+      dotSize: 10,
+      sweepWpm: 250,
+      trail: false,
+      trailLength: 5,
+      trailColor: '#9ca3af'
     };
     
     // Position tracking
@@ -37,7 +52,21 @@ class Pacer {
     
     // Target position for smooth interpolation (smart mode)
     this.targetRect = null;
-    this.currentRect = { top: 0, left: 0, width: 0 };
+    this.currentRect = { top: 0, left: 0, width: 0, height: 0 };
+    
+    // Line being read by the dot / sweep styles: word spans (relative to
+    // the line's left edge) and when the line was reached
+    this.travel = { rect: null, words: [], start: 0 };
+    this.lineBlock = null;
+    this.flow = lineFlow.defaultFlow;
+    
+    // Listeners called with (rect, block, flow) whenever the pacer moves
+    // to a new line (the reading marker and the read trail)
+    this.lineListeners = new Set();
+    
+    // Line shown in keyboard mode, redrawn each frame while travelling
+    this.lineRect = null;
+    this.lineFrame = null;
     
     // Scroll handling state
     this.isScrolling = false;
@@ -68,6 +97,7 @@ class Pacer {
     this.handleScroll = this.handleScroll.bind(this);
     this.animate = this.animate.bind(this);
     this.animateSmart = this.animateSmart.bind(this);
+    this.animateLine = this.animateLine.bind(this);
   }
 
   /**
@@ -76,14 +106,19 @@ class Pacer {
   setControlMode(mode) {
     if (!mode || this.controlMode === mode) return;
     this.controlMode = mode;
+    this.applyStyles();
 
     if (this.enabled) {
       document.removeEventListener('mousemove', this.handleMouseMove);
       window.removeEventListener('scroll', this.handleScroll);
+      deepText.removeFrameListener('mousemove', this.handleMouseMove);
+      deepText.removeFrameListener('scroll', this.handleScroll);
 
       if (this.controlMode === 'mouse') {
         document.addEventListener('mousemove', this.handleMouseMove);
         window.addEventListener('scroll', this.handleScroll, { passive: true });
+        deepText.addFrameListener('mousemove', this.handleMouseMove);
+        deepText.addFrameListener('scroll', this.handleScroll);
 
         if (this.settings.smartDetection) {
           this.startSmartAnimation();
@@ -108,11 +143,12 @@ class Pacer {
       position: fixed;
       left: 0;
       pointer-events: none;
+      box-sizing: border-box;
       z-index: 2147483646;
       display: none;
     `;
     
-    document.body.appendChild(this.element);
+    uiRoot.mount(this.element);
     this.applyStyles();
   }
 
@@ -122,13 +158,29 @@ class Pacer {
   applyStyles() {
     if (!this.element) return;
     
-    const { height, color, opacity, smartDetection } = this.settings;
+    const { height, color, opacity, smartDetection, bracketWidth } = this.settings;
+    const style = this.getStyle();
     
     this.element.style.height = `${height}px`;
     this.element.style.backgroundColor = color;
+    this.element.style.border = 'none';
+    this.element.style.borderRadius = '0';
+    
+    if (style === 'band' || style === 'sweep') {
+      this.element.style.borderRadius = '3px';
+    } else if (style === 'bracket') {
+      // The brackets are drawn by renderLine, across the line's ends
+      this.element.style.backgroundColor = 'transparent';
+      this.element.style.borderRadius = `${bracketWidth}px`;
+    } else if (style === 'dot') {
+      this.element.style.borderRadius = '50%';
+    }
     
-    // Smoother transitions (0.2s for better feel)
-    this.element.style.transition = 'opacity 0.2s ease-in-out, left 0.12s ease-out, width 0.12s ease-out, top 0.12s ease-out';
+    // Smoother transitions (0.2s for better feel); travelling styles are
+    // moved every frame, so only their fade is animated
+    this.element.style.transition = this.isTravelling()
+      ? 'opacity 0.2s ease-in-out'
+      : 'opacity 0.2s ease-in-out, left 0.12s ease-out, width 0.12s ease-out, top 0.12s ease-out, height 0.12s ease-out';
     
     // Only apply full width styles if NOT in smart detection mode
     if (!smartDetection) {
@@ -147,12 +199,30 @@ class Pacer {
     }
   }
 
+  /**
+   * Style in effect: basic mode has no line to draw around, so it always
+   * uses the underline
+   */
+  getStyle() {
+    if (!this.settings.smartDetection && this.controlMode === 'mouse') return 'underline';
+    return this.settings.style || 'underline';
+  }
+
+  /**
+   * Whether the style moves along the line at reading speed
+   */
+  isTravelling() {
+    const style = this.getStyle();
+    return style === 'dot' || style === 'sweep';
+  }
+
   /**
    * Update settings
    */
   updateSettings(newSettings) {
     this.settings = { ...this.settings, ...newSettings };
     this.applyStyles();
+    readTrail.updateSettings(this.settings);
   }
 
   /**
@@ -169,7 +239,7 @@ class Pacer {
     this.isOverText = false;
     this.lastTextRect = null;
     this.targetRect = null;
-    this.currentRect = { top: 0, left: 0, width: 0 };
+    this.currentRect = { top: 0, left: 0, width: 0, height: 0 };
     
     // Reset scroll state
     this.isScrolling = false;
@@ -177,6 +247,8 @@ class Pacer {
     if (this.controlMode === 'mouse') {
       document.addEventListener('mousemove', this.handleMouseMove);
       window.addEventListener('scroll', this.handleScroll, { passive: true });
+      deepText.addFrameListener('mousemove', this.handleMouseMove);
+      deepText.addFrameListener('scroll', this.handleScroll);
 
       // Start animation loop
       if (this.settings.smartDetection) {
@@ -203,8 +275,12 @@ class Pacer {
     
     document.removeEventListener('mousemove', this.handleMouseMove);
     window.removeEventListener('scroll', this.handleScroll);
+    deepText.removeFrameListener('mousemove', this.handleMouseMove);
+    deepText.removeFrameListener('scroll', this.handleScroll);
     this.isScrolling = false;
     this.stopAnimation();
+    this.stopLineAnimation();
+    readTrail.clear();
   }
 
   /**
@@ -217,6 +293,8 @@ class Pacer {
     this.isOverText = false;
     this.lastTextRect = null;
     this.targetRect = null;
+    this.travel.rect = null;
+    this.stopLineAnimation();
   }
 
   /**
@@ -266,9 +344,10 @@ class Pacer {
       
       const textRect = this.detectTextLineAtPoint(e.clientX, e.clientY);
       
-      if (textRect && textRect.width >= this.minLineWidth) {
+      if (textRect && lineFlow.getLength(textRect, this.flow) >= this.minLineWidth) {
         this.targetRect = textRect;
         this.isOverText = true;
+        this.setLine(textRect, this.lineBlock);
       } else {
         this.targetRect = null;
         this.isOverText = false;
@@ -334,14 +413,15 @@ class Pacer {
    * Check if cursor is over an interactive element
    */
   isOverInteractiveElement(x, y) {
-    const element = document.elementFromPoint(x, y);
-    if (!element) return false;
+    const hit = deepText.elementFromPoint(x, y);
+    if (!hit) return false;
     
     // Walk up to check if any ancestor is interactive
-    let current = element;
-    while (current && current !== document.body) {
+    const body = hit.element.ownerDocument.body;
+    let current = hit.element;
+    while (current && current !== body) {
       if (this.isInteractiveElement(current)) return true;
-      current = current.parentElement;
+      current = deepText.getParentElement(current);
     }
     
     return false;
@@ -351,24 +431,28 @@ class Pacer {
    * Find the nearest block-level ancestor
    */
   getBlockAncestor(node) {
-    let current = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
+    // Text in a frame stops at the frame's body; text in a shadow tree
+    // carries on through the host
+    const body = node.ownerDocument.body;
+    let current = node.nodeType === Node.TEXT_NODE ? deepText.getParentElement(node) : node;
     
-    while (current && current !== document.body) {
+    while (current && current !== body) {
       if (this.blockTags.has(current.tagName)) {
         return current;
       }
-      current = current.parentElement;
+      current = deepText.getParentElement(current);
     }
     
-    return document.body;
+    return body;
   }
 
   /**
    * Check if element is a preformatted block (terminal, code)
    */
   isPreformattedBlock(element) {
+    const body = element.ownerDocument.body;
     let current = element;
-    while (current && current !== document.body) {
+    while (current && current !== body) {
       if (this.preformattedTags.has(current.tagName)) {
         return true;
       }
@@ -380,7 +464,7 @@ class Pacer {
           return true;
         }
       }
-      current = current.parentElement;
+      current = deepText.getParentElement(current);
     }
     return false;
   }
@@ -395,27 +479,12 @@ class Pacer {
       return null;
     }
     
-    // Use caretRangeFromPoint to find text at coordinates
-    let range;
-    
-    if (document.caretRangeFromPoint) {
-      range = document.caretRangeFromPoint(x, y);
-    } else if (document.caretPositionFromPoint) {
-      // Firefox API
-      const pos = document.caretPositionFromPoint(x, y);
-      if (pos) {
-        range = document.createRange();
-        range.setStart(pos.offsetNode, pos.offset);
-        range.setEnd(pos.offsetNode, pos.offset);
-      }
-    }
-    
-    if (!range) return null;
-    
-    const node = range.startContainer;
+    // Find the text at the point, inside same-origin frames and open
+    // shadow roots too
+    const caret = deepText.caretFromPoint(x, y);
+    if (!caret) return null;
     
-    // Must be a text node
-    if (node.nodeType !== Node.TEXT_NODE) return null;
+    const node = caret.node;
     
     // Skip if text is empty or whitespace only
     if (!node.textContent || node.textContent.trim().length === 0) return null;
@@ -430,9 +499,9 @@ class Pacer {
       }
     }
     
-    // Get reference position from caret
-    const caretRect = this.getCaretRect(range, node);
-    if (!caretRect || caretRect.height === 0) return null;
+    // Reference position from the caret (top viewport)
+    const caretRect = caret.rect;
+    if (caretRect.height === 0 || caretRect.width === 0) return null;
     
     // Find the block ancestor
     const block = this.getBlockAncestor(node);
@@ -441,76 +510,42 @@ class Pacer {
     const isPreformatted = this.isPreformattedBlock(block);
     
     // Get the full visual line rect
-    const lineRect = this.getVisualLineRect(block, caretRect.top, caretRect.height, isPreformatted);
+    const flow = lineFlow.describe(block);
+    const lineRect = this.getVisualLineRect(block, caretRect, isPreformatted, flow);
+    this.lineBlock = block;
+    this.flow = flow;
     
     return lineRect;
   }
 
-  /**
-   * Get bounding rect for caret position
-   */
-  getCaretRect(caretRange, textNode) {
-    const text = textNode.textContent;
-    const caretOffset = caretRange.startOffset;
-    
-    try {
-      const testRange = document.createRange();
-      const safeOffset = Math.min(caretOffset, text.length - 1);
-      testRange.setStart(textNode, Math.max(0, safeOffset));
-      testRange.setEnd(textNode, Math.min(safeOffset + 1, text.length));
-      return testRange.getBoundingClientRect();
-    } catch (e) {
-      return null;
-    }
-  }
-
   /**
    * Get the full visual line rect by examining all text nodes in the block
-   * that are on the same visual line (same Y position)
+   * that are on the same visual line as the caret (same column, and the
+   * same position across the line in the block's writing mode)
    */
-  getVisualLineRect(block, referenceY, referenceHeight, isPreformatted) {
-    // Tolerance for Y position matching (half line height)
-    const yTolerance = referenceHeight * 0.6;
-    
+  getVisualLineRect(block, caretRect, isPreformatted, flow) {
     // Collect all rects on the same visual line
     const lineRects = [];
     
-    // Use TreeWalker to iterate all text nodes
-    const walker = document.createTreeWalker(
-      block,
-      NodeFilter.SHOW_TEXT,
-      {
-        acceptNode: (node) => {
-          // Skip empty/whitespace-only nodes
-          if (!node.textContent || node.textContent.trim().length === 0) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          // Skip nodes inside interactive elements
-          if (this.isInteractiveElement(node.parentElement)) {
-            return NodeFilter.FILTER_REJECT;
-          }
-          return NodeFilter.FILTER_ACCEPT;
-        }
-      }
-    );
+    // Iterate all text nodes, including those in open shadow roots and
+    // same-origin frames inside the block
+    const textNodes = deepText.walkText(block, (node) => {
+      // Skip empty/whitespace-only nodes
+      if (!node.textContent || node.textContent.trim().length === 0) return false;
+      // Skip nodes inside interactive elements
+      return !this.isInteractiveElement(node.parentElement);
+    });
     
-    let textNode;
-    while ((textNode = walker.nextNode())) {
+    for (const { node: textNode, offsetX, offsetY } of textNodes) {
       try {
         // Get rects for this text node (may span multiple lines)
-        const range = document.createRange();
-        range.selectNodeContents(textNode);
-        const rects = range.getClientRects();
+        const rects = deepText.getTextRects(textNode, offsetX, offsetY);
         
         // Check each rect to see if it's on our target line
         for (const rect of rects) {
           if (rect.width === 0 || rect.height === 0) continue;
           
-          // Check if this rect is on the same visual line
-          const rectMidY = rect.top + rect.height / 2;
-          const refMidY = referenceY + referenceHeight / 2;
-          
-          if (Math.abs(rectMidY - refMidY) <= yTolerance) {
+          if (lineFlow.isSameLine(rect, caretRect, flow)) {
             lineRects.push(rect);
           }
         }
@@ -523,35 +558,25 @@ class Pacer {
     if (lineRects.length === 0) return null;
     
     // Combine all rects into a single bounding box
-    let minLeft = Infinity;
-    let maxRight = -Infinity;
-    let minTop = Infinity;
-    let maxBottom = -Infinity;
-    
-    for (const rect of lineRects) {
-      minLeft = Math.min(minLeft, rect.left);
-      maxRight = Math.max(maxRight, rect.right);
-      minTop = Math.min(minTop, rect.top);
-      maxBottom = Math.max(maxBottom, rect.bottom);
-    }
+    const lineRect = lineFlow.merge(lineRects);
     
-    // For preformatted blocks, extend to the block's content width
+    // For preformatted blocks, extend to the block's content box along the line
     if (isPreformatted) {
-      const blockRect = block.getBoundingClientRect();
-      const computedStyle = window.getComputedStyle(block);
-      const paddingLeft = parseFloat(computedStyle.paddingLeft) || 0;
-      const paddingRight = parseFloat(computedStyle.paddingRight) || 0;
+      const blockRect = deepText.getBoundingClientRect(block);
+      const computedStyle = block.ownerDocument.defaultView.getComputedStyle(block);
+      
+      if (flow.vertical) {
+        const top = blockRect.top + (parseFloat(computedStyle.paddingTop) || 0);
+        const bottom = blockRect.bottom - (parseFloat(computedStyle.paddingBottom) || 0);
+        return new DOMRect(lineRect.left, top, lineRect.width, bottom - top);
+      }
       
-      minLeft = blockRect.left + paddingLeft;
-      maxRight = blockRect.right - paddingRight;
+      const left = blockRect.left + (parseFloat(computedStyle.paddingLeft) || 0);
+      const right = blockRect.right - (parseFloat(computedStyle.paddingRight) || 0);
+      return new DOMRect(left, lineRect.top, right - left, lineRect.height);
     }
     
-    return new DOMRect(
-      minLeft,
-      minTop,
-      maxRight - minLeft,
-      maxBottom - minTop
-    );
+    return lineRect;
   }
 
   /**
@@ -575,16 +600,11 @@ class Pacer {
       this.currentRect.top += (this.targetRect.top - this.currentRect.top) * ease;
       this.currentRect.left += (this.targetRect.left - this.currentRect.left) * ease;
       this.currentRect.width += (this.targetRect.width - this.currentRect.width) * ease;
+      this.currentRect.height += (this.targetRect.height - this.currentRect.height) * ease;
       
       // Update element position
-      const top = this.currentRect.top + (this.targetRect.height || 20) - this.settings.height / 2;
-      
-      this.element.style.top = `${top}px`;
-      this.element.style.left = `${this.currentRect.left}px`;
-      this.element.style.width = `${this.currentRect.width}px`;
-      this.element.style.transform = 'none';
-      this.element.style.opacity = this.settings.opacity;
-      this.element.style.display = 'block';
+      const { top, left, width, height } = this.currentRect;
+      this.renderLine({ top, left, width, height });
     } else {
       // Fade out when not over text
       this.element.style.opacity = '0';
@@ -601,18 +621,205 @@ class Pacer {
     
     this.isOverText = true;
     this.lastTextRect = rect;
+    this.renderLine(rect);
+  }
+
+  /**
+   * Show the pacer on a line chosen by keyboard navigation. The dot and
+   * sweep styles keep moving along the line until it changes.
+   */
+  showLine(rect, block, flow) {
+    if (!this.element) return;
+    
+    this.show();
+    this.flow = flow || lineFlow.describe(block);
+    this.setLine(rect, block);
+    this.lineRect = rect;
+    this.renderLine(rect);
     
-    // Position at bottom of text line (baseline)
-    const top = rect.bottom - this.settings.height / 2;
+    if (this.isTravelling() && !this.lineFrame) {
+      this.lineFrame = requestAnimationFrame(this.animateLine);
+    }
+  }
+
+  /**
+   * Animation loop for the dot / sweep on a keyboard-mode line
+   */
+  animateLine() {
+    if (!this.enabled || !this.lineRect || this.controlMode === 'mouse' || !this.isTravelling()) {
+      this.lineFrame = null;
+      return;
+    }
     
-    this.element.style.top = `${top}px`;
-    this.element.style.left = `${rect.left}px`;
-    this.element.style.width = `${rect.width}px`;
+    this.renderLine(this.lineRect);
+    this.lineFrame = requestAnimationFrame(this.animateLine);
+  }
+
+  stopLineAnimation() {
+    this.lineRect = null;
+    if (this.lineFrame) {
+      cancelAnimationFrame(this.lineFrame);
+      this.lineFrame = null;
+    }
+  }
+
+  /**
+   * Note the line being read; the dot / sweep restart when it changes
+   */
+  setLine(rect, block) {
+    const previous = this.travel.rect;
+    if (previous && Math.abs(previous.top - rect.top) < 2 && Math.abs(previous.left - rect.left) < 2) {
+      return;
+    }
+    
+    this.travel.rect = rect;
+    this.travel.start = performance.now();
+    this.travel.words = this.isTravelling() ? this.getLineWords(rect, block) : [];
+    this.lineListeners.forEach(listener => listener(rect, block, this.flow));
+  }
+
+  /**
+   * Call a listener whenever the pacer moves to a new line
+   */
+  addLineListener(listener) {
+    this.lineListeners.add(listener);
+  }
+
+  /**
+   * Stop calling a line listener
+   */
+  removeLineListener(listener) {
+    this.lineListeners.delete(listener);
+  }
+
+  /**
+   * Start and end of the words on a line along the line (relative to its
+   * left edge, or top edge in vertical writing), in reading order.
+   * Without a block to measure, the line is split into evenly sized words.
+   */
+  getLineWords(rect, block) {
+    const flow = this.flow;
+    const origin = flow.vertical ? rect.top : rect.left;
+    const words = [];
+    
+    if (block) {
+      for (const { node: textNode, offsetX, offsetY } of deepText.walkText(block)) {
+        const nodeRects = deepText.getTextRects(textNode, offsetX, offsetY);
+        if (!nodeRects.some(nodeRect => lineFlow.isSameLine(nodeRect, rect, flow))) continue;
+        
+        for (const match of textNode.data.matchAll(/\S+/g)) {
+          const end = match.index + match[0].length;
+          
+          // A word broken across lines has a rect on each of them
+          for (const wordRect of deepText.getTextRects(textNode, offsetX, offsetY, match.index, end)) {
+            if (wordRect.width === 0 || wordRect.height === 0) continue;
+            if (!lineFlow.isSameLine(wordRect, rect, flow)) continue;
+            
+            words.push(flow.vertical
+              ? { start: wordRect.top - origin, end: wordRect.bottom - origin }
+              : { start: wordRect.left - origin, end: wordRect.right - origin });
+          }
+        }
+      }
+    }
+    
+    if (words.length === 0) {
+      const length = lineFlow.getLength(rect, flow);
+      const count = Math.max(1, Math.round(length / ((lineFlow.getThickness(rect, flow) || 20) * 2.5)));
+      const size = length / count;
+      for (let i = 0; i < count; i++) {
+        words.push({ start: i * size, end: (i + 1) * size });
+      }
+    }
+    
+    return words.sort((a, b) => flow.inlineReverse ? b.start - a.start : a.start - b.start);
+  }
+
+  /**
+   * Draw the pacer on a line rect ({ top, left, width, height }) in the
+   * current style. On vertical lines the underline, dot and sweep run down
+   * the right-hand side and the brackets sit above and below the line.
+   */
+  renderLine(rect) {
+    const { height, color, opacity, bandOpacity, bandPadding, bracketWidth, bracketGap, dotSize } = this.settings;
+    const style = this.getStyle();
+    const vertical = this.flow.vertical;
+    let box;
+    
+    if (style === 'band') {
+      box = {
+        top: rect.top - bandPadding,
+        left: rect.left - bandPadding,
+        width: rect.width + bandPadding * 2,
+        height: rect.height + bandPadding * 2
+      };
+    } else if (style === 'bracket') {
+      const edge = `${bracketWidth}px solid ${color}`;
+      this.element.style.borderLeft = vertical ? 'none' : edge;
+      this.element.style.borderRight = vertical ? 'none' : edge;
+      this.element.style.borderTop = vertical ? edge : 'none';
+      this.element.style.borderBottom = vertical ? edge : 'none';
+      box = vertical
+        ? { top: rect.top - bracketGap, left: rect.left, width: rect.width, height: rect.height + bracketGap * 2 }
+        : { top: rect.top, left: rect.left - bracketGap, width: rect.width + bracketGap * 2, height: rect.height };
+    } else if (style === 'dot') {
+      const position = this.getTravelPosition();
+      box = vertical
+        ? { top: rect.top + position - dotSize / 2, left: rect.left + rect.width - dotSize / 2 }
+        : { top: rect.top + rect.height - dotSize / 2, left: rect.left + position - dotSize / 2 };
+      box.width = dotSize;
+      box.height = dotSize;
+    } else if (style === 'sweep') {
+      const word = this.getTravelWord();
+      const size = word.end - word.start + bandPadding * 2;
+      box = vertical
+        ? { top: rect.top + word.start - bandPadding, left: rect.left - bandPadding, width: rect.width + bandPadding * 2, height: size }
+        : { top: rect.top - bandPadding, left: rect.left + word.start - bandPadding, width: size, height: rect.height + bandPadding * 2 };
+    } else if (vertical) {
+      box = { top: rect.top, left: rect.left + rect.width - height / 2, width: height, height: rect.height };
+    } else {
+      // Position at bottom of text line (baseline)
+      box = { top: rect.top + rect.height - height / 2, left: rect.left, width: rect.width, height };
+    }
+    
+    this.element.style.top = `${box.top}px`;
+    this.element.style.left = `${box.left}px`;
+    this.element.style.width = `${box.width}px`;
+    this.element.style.height = `${box.height}px`;
     this.element.style.transform = 'none';
-    this.element.style.opacity = this.settings.opacity;
+    this.element.style.opacity = style === 'band' || style === 'sweep' ? bandOpacity : opacity;
     this.element.style.display = 'block';
   }
 
+  /**
+   * Index of the word reached on the current line at the sweep speed
+   */
+  getTravelIndex() {
+    const elapsed = performance.now() - this.travel.start;
+    return elapsed / (60000 / (this.settings.sweepWpm || 250));
+  }
+
+  getTravelWord() {
+    const words = this.travel.words.length > 0 ? this.travel.words : [{ start: 0, end: 0 }];
+    return words[Math.min(words.length - 1, Math.floor(this.getTravelIndex()))];
+  }
+
+  /**
+   * Dot position along the line: glides from the middle of one word to the
+   * middle of the next, and rests on the last word
+   */
+  getTravelPosition() {
+    const words = this.travel.words;
+    if (words.length === 0) return 0;
+    
+    const middle = (word) => (word.start + word.end) / 2;
+    const progress = this.getTravelIndex();
+    const index = Math.floor(progress);
+    if (index >= words.length - 1) return middle(words[words.length - 1]);
+    
+    return middle(words[index]) + (middle(words[index + 1]) - middle(words[index])) * (progress - index);
+  }
+
   /**
    * Hide pacer when not over text (smart mode)
    */
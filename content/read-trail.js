@@ -0,0 +1,244 @@
+/**
+ * Read Trail - Tints the lines the pacer has already passed over, fading
+ * out with age, so the eye can tell read text from unread at a glance
+ *
+ * Each line is kept as a range over its words rather than as a rect, so
+ * the tint follows the text when the page scrolls or reflows. Lines whose
+ * text is removed or replaced by the page drop out of the trail.
+ */
+
+class ReadTrail {
+  constructor() {
+    this.enabled = false;
+    this.settings = {
+      trailLength: 5,
+      trailColor: '#9ca3af'
+    };
+
+    // Read lines, newest first: { range, flow, element }
+    this.lines = [];
+
+    // Line the pacer is on now; it joins the trail once left, if the
+    // pacer stayed on it for at least minDwell
+    this.current = null;
+    this.minDwell = 250;
+
+    // Opacity of the newest line; older lines fade towards 0
+    this.maxOpacity = 0.3;
+
+    this.observer = null;
+    this.positionFrame = null;
+    this.schedulePosition = this.schedulePosition.bind(this);
+    this.handleMutations = this.handleMutations.bind(this);
+  }
+
+  updateSettings(settings) {
+    this.enabled = !!settings.trail;
+    this.settings = {
+      trailLength: settings.trailLength ?? this.settings.trailLength,
+      trailColor: settings.trailColor || this.settings.trailColor
+    };
+
+    if (!this.enabled) {
+      this.clear();
+      return;
+    }
+
+    this.trim();
+    this.applyStyles();
+  }
+
+  /**
+   * Note the line the pacer moved to; the line it left joins the trail
+   */
+  track(rect, block, flow) {
+    if (!this.enabled || !block) return;
+
+    const range = lineFlow.getLineRange(rect, block, flow);
+    if (!range) return;
+    if (this.current && this.isSameRange(this.current.range, range)) return;
+
+    const previous = this.current;
+    this.current = { range, flow, start: performance.now() };
+
+    // A line read again leaves the trail until the pacer moves off it
+    this.removeLine(range);
+
+    if (previous && performance.now() - previous.start >= this.minDwell) {
+      this.addLine(previous.range, previous.flow);
+    }
+  }
+
+  isSameRange(a, b) {
+    return a.startContainer === b.startContainer && a.startOffset === b.startOffset;
+  }
+
+  addLine(range, flow) {
+    if (!range.startContainer.isConnected) return;
+
+    const element = document.createElement('div');
+    element.className = 'prism-pacer-read-trail';
+    element.style.cssText = `
+      position: fixed;
+      pointer-events: none;
+      z-index: 2147483645;
+      border-radius: 2px;
+      transition: opacity 0.3s ease-out;
+    `;
+    uiRoot.mount(element);
+
+    this.lines.unshift({ range, flow, element });
+    this.trim();
+    this.applyStyles();
+    this.position();
+    this.listen();
+  }
+
+  removeLine(range) {
+    const index = this.lines.findIndex(line => this.isSameRange(line.range, range));
+    if (index === -1) return;
+
+    this.lines[index].element.remove();
+    this.lines.splice(index, 1);
+    this.applyStyles();
+  }
+
+  /**
+   * Drop the oldest lines past the trail length
+   */
+  trim() {
+    const length = Math.max(1, this.settings.trailLength);
+    while (this.lines.length > length) {
+      this.lines.pop().element.remove();
+    }
+  }
+
+  /**
+   * Color every line, fading out from the newest one
+   */
+  applyStyles() {
+    const length = Math.max(1, this.settings.trailLength);
+    this.lines.forEach((line, index) => {
+      line.element.style.background = this.settings.trailColor;
+      line.element.style.opacity = `${this.maxOpacity * (1 - index / length)}`;
+    });
+  }
+
+  /**
+   * Follow scrolling and resizing, and watch for the page changing the
+   * text under the trail
+   */
+  listen() {
+    if (this.observer) return;
+
+    window.addEventListener('scroll', this.schedulePosition, { capture: true, passive: true });
+    window.addEventListener('resize', this.schedulePosition, { passive: true });
+    deepText.addFrameListener('scroll', this.schedulePosition);
+
+    this.observer = new MutationObserver(this.handleMutations);
+    this.observer.observe(document.body, { childList: true, subtree: true, characterData: true });
+  }
+
+  unlisten() {
+    if (!this.observer) return;
+
+    window.removeEventListener('scroll', this.schedulePosition, { capture: true });
+    window.removeEventListener('resize', this.schedulePosition);
+    deepText.removeFrameListener('scroll', this.schedulePosition);
+
+    this.observer.disconnect();
+    this.observer = null;
+    if (this.positionFrame) {
+      cancelAnimationFrame(this.positionFrame);
+      this.positionFrame = null;
+    }
+  }
+
+  /**
+   * Drop lines whose text left the page or was emptied, and move the
+   * rest to where the page now lays them out
+   */
+  handleMutations() {
+    const kept = [];
+    for (const line of this.lines) {
+      if (this.isLive(line.range)) {
+        kept.push(line);
+      } else {
+        line.element.remove();
+      }
+    }
+    this.lines = kept;
+
+    if (this.current && !this.isLive(this.current.range)) {
+      this.current = null;
+    }
+
+    if (this.lines.length === 0) {
+      this.unlisten();
+      return;
+    }
+
+    this.applyStyles();
+    this.schedulePosition();
+  }
+
+  isLive(range) {
+    return range.startContainer.isConnected && range.endContainer.isConnected && !range.collapsed;
+  }
+
+  schedulePosition() {
+    if (this.positionFrame) return;
+    this.positionFrame = requestAnimationFrame(() => {
+      this.positionFrame = null;
+      this.position();
+    });
+  }
+
+  /**
+   * Put each tint over its line: the first line box of its range, in
+   * case the page now wraps it differently
+   */
+  position() {
+    for (const line of this.lines) {
+      const rect = this.getLineRect(line);
+      if (!rect) {
+        line.element.style.display = 'none';
+        continue;
+      }
+
+      line.element.style.display = 'block';
+      line.element.style.top = `${rect.top}px`;
+      line.element.style.left = `${rect.left}px`;
+      line.element.style.width = `${rect.width}px`;
+      line.element.style.height = `${rect.height}px`;
+    }
+  }
+
+  getLineRect(line) {
+    if (!this.isLive(line.range)) return null;
+
+    const doc = line.range.startContainer.ownerDocument;
+    const offset = doc === document ? { x: 0, y: 0 } : deepText.getFrameOffset(doc);
+    const rects = Array.from(line.range.getClientRects())
+      .filter(rect => rect.width > 0 && rect.height > 0)
+      .map(rect => deepText.translate(rect, offset.x, offset.y));
+    if (rects.length === 0) return null;
+
+    // Column positions were measured for the old scroll position
+    const flow = { ...line.flow, columns: null };
+    return lineFlow.merge(rects.filter(rect => lineFlow.isSameLine(rect, rects[0], flow)));
+  }
+
+  /**
+   * Remove the whole trail
+   */
+  clear() {
+    this.lines.forEach(line => line.element.remove());
+    this.lines = [];
+    this.current = null;
+    this.unlisten();
+  }
+}
+
+// Create global instance
+const readTrail = new ReadTrail();
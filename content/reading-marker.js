@@ -0,0 +1,540 @@
+/**
+ * Reading Marker - Remembers the last line the pacer rested on for each
+ * page and marks it with a faint "You were here" band on return
+ *
+ * A line is saved as a text anchor: the line's text (the quote), a little
+ * of the text before it (the prefix) and the DOM path of its block. The
+ * path is tried first; when the page has changed, the quote is searched
+ * for across the whole page, using the prefix to pick between repeats.
+ * Lines inside frames and shadow roots are not remembered.
+ */
+
+class ReadingMarker {
+  constructor() {
+    this.element = null;
+    this.band = null;
+    this.label = null;
+    this.enabled = true;
+    this.color = '#3b82f6';
+    this.binding = null;
+
+    // Range over the marked line's text, re-measured on scroll and resize
+    this.range = null;
+
+    // Line waiting to be saved: it is only stored once the pacer has
+    // stayed on it for saveDelay
+    this.pending = null;
+    this.saveTimer = null;
+    this.saveDelay = 1500;
+
+    // Restore tries again while a late-rendering page fills in
+    this.restoreTimer = null;
+    this.restoreAttempts = 0;
+    this.maxRestoreAttempts = 3;
+    this.restoreRetryDelay = 1500;
+
+    this.maxSavedPages = 200;
+    this.maxQuoteLength = 160;
+    this.prefixLength = 32;
+
+    this.skipTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA']);
+
+    this.positionFrame = null;
+    this.handleLineChange = this.handleLineChange.bind(this);
+    this.schedulePosition = this.schedulePosition.bind(this);
+    this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+  }
+
+  /**
+   * Start recording pacer lines and restore the saved line for this page
+   */
+  init() {
+    pacer.addLineListener(this.handleLineChange);
+    document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    this.restore();
+  }
+
+  updateSettings(pacerSettings, binding) {
+    const enabled = pacerSettings?.rememberLine ?? true;
+    this.color = pacerSettings?.color || this.color;
+    this.binding = binding || null;
+    this.applyStyles();
+
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+
+    if (enabled) {
+      this.restore();
+    } else {
+      this.cancelSave();
+      this.remove();
+    }
+  }
+
+  /**
+   * Storage key for the current page (ignores the #fragment)
+   */
+  getPageKey() {
+    return `${location.origin}${location.pathname}${location.search}`;
+  }
+
+  /**
+   * Note a new pacer line; it is saved if the pacer stays on it
+   */
+  handleLineChange(rect, block, flow) {
+    if (!this.enabled || !block) return;
+    if (block.ownerDocument !== document || block.getRootNode() !== document) return;
+
+    this.pending = {
+      rect,
+      block,
+      flow,
+      scrollX: window.scrollX,
+      scrollY: window.scrollY
+    };
+
+    clearTimeout(this.saveTimer);
+    this.saveTimer = setTimeout(() => this.savePending(), this.saveDelay);
+  }
+
+  cancelSave() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.pending = null;
+  }
+
+  /**
+   * Save a pending line before the page is left
+   */
+  handleVisibilityChange() {
+    if (document.visibilityState === 'hidden' && this.pending) {
+      clearTimeout(this.saveTimer);
+      this.savePending();
+    }
+  }
+
+  async savePending() {
+    const pending = this.pending;
+    this.pending = null;
+    this.saveTimer = null;
+    if (!pending || !pending.block.isConnected) return;
+
+    // The rect was measured before any scrolling since
+    const rect = new DOMRect(
+      pending.rect.left + pending.scrollX - window.scrollX,
+      pending.rect.top + pending.scrollY - window.scrollY,
+      pending.rect.width,
+      pending.rect.height
+    );
+
+    const anchor = this.createAnchor(rect, pending.block, pending.flow);
+    if (anchor) {
+      await this.saveAnchor(anchor);
+    }
+  }
+
+  /**
+   * Build the anchor for the words of a block that sit on a line
+   */
+  createAnchor(rect, block, flow) {
+    const line = lineFlow.getLineRange(rect, block, flow);
+    if (!line || line.startContainer.getRootNode() !== document) return null;
+
+    const first = { node: line.startContainer, offset: line.startOffset };
+    const last = { node: line.endContainer, offset: line.endOffset };
+    const element = pacer.getBlockAncestor(first.node);
+    const index = this.indexText(element);
+    const start = this.getTextIndex(index, first.node, first.offset);
+    const end = this.getTextIndex(index, last.node, last.offset);
+    if (start === null || end === null || end <= start) return null;
+
+    const quote = index.text.slice(start, Math.min(end, start + this.maxQuoteLength)).trim();
+    if (!quote) return null;
+
+    return {
+      quote,
+      prefix: index.text.slice(Math.max(0, start - this.prefixLength), start),
+      path: this.getPath(element)
+    };
+  }
+
+  async saveAnchor(anchor) {
+    try {
+      const result = await chrome.storage.local.get(['readingMarkers']);
+      const markers = result.readingMarkers || {};
+
+      markers[this.getPageKey()] = { ...anchor, updatedAt: Date.now() };
+
+      this.pruneMarkers(markers);
+      await chrome.storage.local.set({ readingMarkers: markers });
+    } catch (e) {
+      console.error('Failed to save reading marker:', e);
+    }
+  }
+
+  /**
+   * Keep only the most recently read pages
+   */
+  pruneMarkers(markers) {
+    const keys = Object.keys(markers);
+    if (keys.length <= this.maxSavedPages) return;
+
+    keys
+      .sort((a, b) => (markers[b].updatedAt || 0) - (markers[a].updatedAt || 0))
+      .slice(this.maxSavedPages)
+      .forEach(key => delete markers[key]);
+  }
+
+  /**
+   * Load this page's saved line and mark it, trying again a few times
+   * while the page is still rendering its content
+   */
+  async restore() {
+    clearTimeout(this.restoreTimer);
+    this.restoreAttempts = 0;
+
+    let anchor = null;
+    try {
+      const result = await chrome.storage.local.get(['readingMarkers']);
+      anchor = (result.readingMarkers || {})[this.getPageKey()] || null;
+    } catch (e) {
+      console.error('Failed to load reading marker:', e);
+    }
+
+    if (anchor) {
+      this.tryRestore(anchor);
+    }
+  }
+
+  tryRestore(anchor) {
+    if (!this.enabled) return;
+
+    const range = this.findAnchor(anchor);
+    if (range) {
+      this.show(range);
+      if (!this.isInView() && this.binding) {
+        toast.show(`Last read line marked - ${this.describeBinding(this.binding)} to jump back`, '📍', 3000);
+      }
+      return;
+    }
+
+    this.restoreAttempts++;
+    if (this.restoreAttempts < this.maxRestoreAttempts) {
+      this.restoreTimer = setTimeout(() => this.tryRestore(anchor), this.restoreRetryDelay);
+    }
+  }
+
+  /**
+   * Range over an anchor's quote: inside the block at its DOM path when
+   * that still holds the quote, otherwise anywhere on the page
+   */
+  findAnchor(anchor) {
+    const element = this.resolvePath(anchor.path);
+    if (element) {
+      const range = this.findQuote(element, anchor);
+      if (range) return range;
+    }
+    return document.body ? this.findQuote(document.body, anchor) : null;
+  }
+
+  /**
+   * Find a quote in an element's text. Of several matches, the first one
+   * preceded by the anchor's prefix wins, then the first match.
+   */
+  findQuote(root, anchor) {
+    const index = this.indexText(root);
+    let found = -1;
+    let position = index.text.indexOf(anchor.quote);
+
+    while (position !== -1) {
+      if (found === -1) found = position;
+      if (anchor.prefix && index.text.slice(0, position).endsWith(anchor.prefix)) {
+        found = position;
+        break;
+      }
+      position = index.text.indexOf(anchor.quote, position + 1);
+    }
+
+    if (found === -1) return null;
+
+    const start = this.getNodePosition(index, found);
+    const end = this.getNodePosition(index, found + anchor.quote.length - 1);
+    if (!start || !end) return null;
+
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset + 1);
+    return range;
+  }
+
+  /**
+   * Visible text nodes under an element
+   */
+  *walkText(root) {
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => this.skipTags.has(node.parentElement?.tagName)
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+
+    let node;
+    while ((node = walker.nextNode())) {
+      yield node;
+    }
+  }
+
+  /**
+   * An element's text with whitespace runs collapsed to single spaces,
+   * and for each text node where its characters landed in that text
+   */
+  indexText(root) {
+    let text = '';
+    const segments = [];
+    let afterSpace = true;
+
+    for (const node of this.walkText(root)) {
+      const data = node.data;
+      const offsets = [];
+      const start = text.length;
+
+      for (let i = 0; i < data.length; i++) {
+        if (/\s/.test(data[i])) {
+          if (afterSpace) continue;
+          text += ' ';
+          afterSpace = true;
+        } else {
+          text += data[i];
+          afterSpace = false;
+        }
+        offsets.push(i);
+      }
+
+      if (offsets.length > 0) {
+        segments.push({ node, start, offsets });
+      }
+    }
+
+    return { text, segments };
+  }
+
+  /**
+   * Index in the collapsed text of a node offset (or of the next
+   * character kept after it)
+   */
+  getTextIndex(index, node, offset) {
+    const segment = index.segments.find(candidate => candidate.node === node);
+    if (!segment) return null;
+
+    const kept = segment.offsets.findIndex(value => value >= offset);
+    return segment.start + (kept === -1 ? segment.offsets.length : kept);
+  }
+
+  /**
+   * Text node and offset of a character in the collapsed text
+   */
+  getNodePosition(index, textIndex) {
+    for (const segment of index.segments) {
+      const local = textIndex - segment.start;
+      if (local >= 0 && local < segment.offsets.length) {
+        return { node: segment.node, offset: segment.offsets[local] };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * CSS path of an element below <body>, e.g. "main:nth-of-type(1) > p:nth-of-type(3)"
+   */
+  getPath(element) {
+    const steps = [];
+    let current = element;
+
+    while (current && current !== document.body && current.parentElement) {
+      const tag = current.tagName;
+      let position = 1;
+      for (let sibling = current.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+        if (sibling.tagName === tag) position++;
+      }
+      steps.unshift(`${tag.toLowerCase()}:nth-of-type(${position})`);
+      current = current.parentElement;
+    }
+
+    return current === document.body ? steps.join(' > ') : null;
+  }
+
+  resolvePath(path) {
+    if (!path || !document.body) return null;
+    try {
+      return document.body.querySelector(`:scope > ${path}`);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * Create the marker element
+   */
+  createElement() {
+    if (this.element) return;
+
+    this.element = document.createElement('div');
+    this.element.className = 'prism-pacer-reading-marker';
+    this.element.style.cssText = `
+      position: fixed;
+      pointer-events: none;
+      z-index: 2147483645;
+      display: none;
+    `;
+
+    this.band = document.createElement('div');
+    this.band.style.cssText = `
+      position: absolute;
+      inset: 0;
+      border-radius: 2px;
+      transition: opacity 0.6s ease-out;
+    `;
+
+    this.label = document.createElement('span');
+    this.label.textContent = 'You were here';
+    this.label.style.cssText = `
+      position: absolute;
+      bottom: 100%;
+      left: 0;
+      margin-bottom: 2px;
+      font-size: 10px;
+      line-height: 1;
+      white-space: nowrap;
+      opacity: 0.7;
+    `;
+
+    this.element.appendChild(this.band);
+    this.element.appendChild(this.label);
+    uiRoot.mount(this.element);
+    this.applyStyles();
+  }
+
+  applyStyles() {
+    if (!this.element) return;
+
+    this.band.style.background = this.color;
+    this.band.style.borderLeft = `3px solid ${this.color}`;
+    this.band.style.opacity = '0.15';
+    this.label.style.color = this.color;
+  }
+
+  /**
+   * Mark a line and keep the marker on it while the page scrolls
+   */
+  show(range) {
+    this.createElement();
+    this.range = range;
+    this.element.style.display = 'block';
+    this.position();
+
+    window.addEventListener('scroll', this.schedulePosition, { capture: true, passive: true });
+    window.addEventListener('resize', this.schedulePosition, { passive: true });
+  }
+
+  remove() {
+    clearTimeout(this.restoreTimer);
+    window.removeEventListener('scroll', this.schedulePosition, { capture: true });
+    window.removeEventListener('resize', this.schedulePosition);
+    if (this.positionFrame) {
+      cancelAnimationFrame(this.positionFrame);
+      this.positionFrame = null;
+    }
+
+    this.range = null;
+    if (this.element) {
+      this.element.style.display = 'none';
+    }
+  }
+
+  schedulePosition() {
+    if (this.positionFrame) return;
+    this.positionFrame = requestAnimationFrame(() => {
+      this.positionFrame = null;
+      this.position();
+    });
+  }
+
+  /**
+   * Rect of the marked line: the quote's first line box, in case the
+   * page now wraps it differently
+   */
+  getRect() {
+    if (!this.range || !this.range.startContainer.isConnected) return null;
+
+    const rects = Array.from(this.range.getClientRects()).filter(rect => rect.width > 0 && rect.height > 0);
+    if (rects.length === 0) return null;
+
+    const flow = lineFlow.describe(this.range.startContainer.parentElement);
+    return lineFlow.merge(rects.filter(rect => lineFlow.isSameLine(rect, rects[0], flow)));
+  }
+
+  position() {
+    if (!this.element) return;
+
+    const rect = this.getRect();
+    if (!rect) {
+      this.element.style.display = 'none';
+      return;
+    }
+
+    this.element.style.display = 'block';
+    this.element.style.top = `${rect.top}px`;
+    this.element.style.left = `${rect.left}px`;
+    this.element.style.width = `${rect.width}px`;
+    this.element.style.height = `${rect.height}px`;
+  }
+
+  isInView() {
+    const rect = this.getRect();
+    return !!rect && rect.bottom > 0 && rect.top < window.innerHeight;
+  }
+
+  /**
+   * Marked line and the element holding it, or null
+   */
+  getTarget() {
+    const rect = this.getRect();
+    if (!rect) return null;
+    return { element: this.range.startContainer.parentElement, rect };
+  }
+
+  /**
+   * Briefly brighten the marker
+   */
+  flash() {
+    if (!this.band) return;
+    this.band.style.transition = 'none';
+    this.band.style.opacity = '0.5';
+    // Let the brighter band paint before fading back
+    requestAnimationFrame(() => {
+      this.band.style.transition = 'opacity 0.6s ease-out';
+      this.band.style.opacity = '0.15';
+    });
+  }
+
+  /**
+   * Readable form of a keybinding, e.g. "Alt+Shift+J"
+   */
+  describeBinding(binding) {
+    const key = binding.key === ' ' ? 'Space' : binding.key.toUpperCase();
+    return [...binding.modifiers, key].join('+');
+  }
+
+  destroy() {
+    this.cancelSave();
+    this.remove();
+    document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    pacer.removeLineListener(this.handleLineChange);
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
+
+// Create global instance
+const readingMarker = new ReadingMarker();
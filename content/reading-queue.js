@@ -0,0 +1,165 @@
+/**
+ * Reading Queue - Adds selections and whole articles to the reading queue
+ * kept by the service worker, and plays the queue back-to-back in RSVP
+ *
+ * Each item remembers how far it was read, so stopping mid-item and
+ * playing the queue again (from any tab) picks up at the same word.
+ */
+
+class ReadingQueue {
+  constructor() {
+    // Queue item being read while the queue is playing
+    this.current = null;
+  }
+
+  /**
+   * Collect the selection, or the page's article when nothing is selected.
+   * scope 'selection' or 'article' forces one of the two. selectionText
+   * stands in when the page's own selection is empty (text selected
+   * inside an iframe, reported by the context menu).
+   */
+  collect(scope = 'auto', selectionText = '') {
+    const selected = window.getSelection().toString().trim() || selectionText.trim();
+    if (selected && scope !== 'article') {
+      return {
+        title: document.title || location.hostname,
+        url: location.href,
+        text: selected,
+        blocks: []
+      };
+    }
+
+    if (scope === 'selection') return null;
+
+    const article = articleExtractor.extract();
+    if (!article) return null;
+
+    // The blocks hold the article's text too; plain text is kept only
+    // when there are none
+    return {
+      title: article.title || document.title || location.hostname,
+      url: location.href,
+      text: article.blocks.length > 0 ? '' : article.text,
+      blocks: article.blocks
+    };
+  }
+
+  /**
+   * Add the selection or article to the queue
+   */
+  async add(scope, selectionText) {
+    const item = this.collect(scope, selectionText);
+    if (!item) {
+      toast.show('No article found - select text first', '⚠', 2000);
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'QUEUE_ADD', item });
+      toast.show(`Added to reading queue (${response.count})`, '☰', 2000);
+    } catch (e) {
+      console.error('Prism Pacer: Failed to add to reading queue:', e);
+      toast.show('Could not add to reading queue', '⚠', 2000);
+    }
+  }
+
+  /**
+   * Start or continue the queue with its first unfinished item
+   */
+  async play() {
+    let queue = [];
+    try {
+      queue = await chrome.runtime.sendMessage({ type: 'QUEUE_GET' }) || [];
+    } catch (e) {
+      console.error('Prism Pacer: Failed to load reading queue:', e);
+    }
+
+    const item = queue.find(entry => !entry.done);
+    if (!item) {
+      this.stop();
+      toast.show('Reading queue finished', '✓', 2000);
+      return;
+    }
+
+    this.current = item;
+    rsvpPlayer.onExit = () => this.handleExit();
+
+    const options = { wordIndex: item.wordIndex, queued: true };
+    const hasBlocks = item.blocks && item.blocks.length > 0;
+    const hasText = (item.text || '').trim().length > 0;
+    if (hasBlocks) {
+      await rsvpPlayer.startBlocks(item.blocks, options);
+    } else if (hasText) {
+      await rsvpPlayer.start(item.text, options);
+    }
+
+    // Nothing readable in this item: skip it. The player only reloads its
+    // words when there was something to start from.
+    if ((!hasBlocks && !hasText) || rsvpPlayer.words.length === 0) {
+      await this.saveProgress(item, 0, true);
+      return this.play();
+    }
+
+    toast.show(`Reading queue: ${item.title}`, '☰', 2000);
+  }
+
+  /**
+   * Record how far the item got, then move on if it was finished
+   */
+  async handleExit() {
+    const item = this.current;
+    if (!item) return;
+
+    const done = rsvpPlayer.completed;
+    await this.saveProgress(item, done ? rsvpPlayer.totalWords : rsvpPlayer.getWordIndex(), done);
+
+    if (done) {
+      this.play();
+    } else {
+      this.stop();
+    }
+  }
+
+  /**
+   * Stop following the queue because another session is starting, keeping
+   * the position reached in the current item
+   */
+  interrupt() {
+    const item = this.current;
+    if (!item) return;
+
+    if (rsvpPlayer.isActive()) {
+      const done = rsvpPlayer.completed;
+      this.saveProgress(item, done ? rsvpPlayer.totalWords : rsvpPlayer.getWordIndex(), done);
+    }
+    this.stop();
+  }
+
+  /**
+   * Store an item's reading position with the service worker
+   */
+  async saveProgress(item, wordIndex, done) {
+    try {
+      await chrome.runtime.sendMessage({
+        type: 'QUEUE_PROGRESS',
+        id: item.id,
+        wordIndex,
+        totalWords: rsvpPlayer.totalWords,
+        done
+      });
+    } catch (e) {
+      console.error('Prism Pacer: Failed to save reading queue progress:', e);
+    }
+  }
+
+  /**
+   * Stop following the queue; RSVP goes back to single sessions
+   */
+  stop() {
+    this.current = null;
+    rsvpPlayer.onExit = null;
+  }
+}
+
+// Create global instance
+const readingQueue = new ReadingQueue();
@@ -0,0 +1,105 @@
+/**
+ * RSVP Phrase Chunker - Groups words into short phrases for chunked RSVP
+ *
+ * Instead of a fixed word count, a chunk is closed after every content
+ * word, so function words (articles, prepositions, auxiliaries, ...) stay
+ * with the word they introduce: "The cat" / "sat" / "on the mat". Chunks
+ * never cross sentence or paragraph boundaries and never exceed a maximum
+ * character width.
+ */
+
+class PhraseChunker {
+  constructor() {
+    // Words that introduce the word after them
+    this.functionWords = new Set([
+      // Articles, determiners and possessives
+      'a', 'an', 'the', 'this', 'that', 'these', 'those', 'my', 'your', 'his',
+      'her', 'its', 'our', 'their', 'some', 'any', 'each', 'every', 'no',
+      'all', 'both', 'few', 'many', 'much', 'more', 'most', 'such',
+      // Prepositions
+      'of', 'to', 'in', 'on', 'at', 'by', 'for', 'with', 'from', 'into',
+      'onto', 'over', 'under', 'about', 'after', 'before', 'between',
+      'through', 'during', 'without', 'within', 'against', 'among', 'across',
+      'behind', 'beyond', 'near', 'toward', 'towards', 'upon', 'like', 'as',
+      // Conjunctions and relative words
+      'and', 'or', 'but', 'nor', 'so', 'yet', 'because', 'although', 'though',
+      'while', 'if', 'unless', 'until', 'since', 'than', 'who', 'whom',
+      'whose', 'which', 'where', 'when',
+      // Auxiliaries and modifiers
+      'is', 'are', 'was', 'were', 'be', 'been', 'being', 'am', 'has', 'have',
+      'had', 'will', 'would', 'can', 'could', 'should', 'shall', 'may',
+      'might', 'must', 'do', 'does', 'did', 'not', 'very', 'too', 'quite'
+    ]);
+
+    this.sentenceEnd = /[.!?…。！？]['"”’)\]」』]*$/;
+    this.clauseEnd = /[,;:—–、，；：]['"”’)\]」』]*$/;
+  }
+
+  /**
+   * Group word entries ({ text, paragraphStart, spaced, kind }) into chunks
+   * of at most maxWidth characters. Entries of different kinds (headings,
+   * list items, ...) never share a chunk.
+   */
+  chunk(entries, maxWidth) {
+    const chunks = [];
+    let current = [];
+    let width = 0;
+
+    for (const entry of entries) {
+      const gap = entry.spaced === false ? 0 : 1;
+      const length = this.measure(entry.text);
+
+      if (current.length > 0 &&
+          (entry.paragraphStart || entry.kind !== current[0].kind ||
+           width + gap + length > maxWidth ||
+           !this.continuesPhrase(current[current.length - 1], entry))) {
+        chunks.push(current);
+        current = [];
+        width = 0;
+      }
+
+      width += (current.length > 0 ? gap : 0) + length;
+      current.push(entry);
+    }
+
+    if (current.length > 0) {
+      chunks.push(current);
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Display width of a word in characters; full-width CJK characters
+   * count double
+   */
+  measure(text) {
+    const wide = text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\u3000-\u303f\uff00-\uffef]/gu);
+    return text.length + (wide ? wide.length : 0);
+  }
+
+  /**
+   * Whether a word belongs in the same phrase as the word before it
+   */
+  continuesPhrase(previous, entry) {
+    if (this.sentenceEnd.test(previous.text) || this.clauseEnd.test(previous.text)) {
+      return false;
+    }
+
+    // Parts of one word (CJK text, hyphenated compounds) stay together
+    if (entry.spaced === false) {
+      return true;
+    }
+
+    return this.isFunctionWord(previous.text);
+  }
+
+  /**
+   * Check a word against the function word list, ignoring case and
+   * surrounding punctuation
+   */
+  isFunctionWord(word) {
+    const letters = word.replace(/^[^\p{L}]+|[^\p{L}]+$/gu, '').toLowerCase();
+    return this.functionWords.has(letters);
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * RSVP Quiz Generator - Builds a short comprehension check from the text
+ * that was just read, entirely locally
+ *
+ * Two question types:
+ * - cloze: a sentence from the text with a key word blanked out
+ * - recognition: "which of these sentences appeared?", where the wrong
+ *   choices are other sentences from the text with one key word swapped
+ *
+ * Each question is { type, prompt, sentence?, choices, answer } where
+ * answer is the index of the correct choice.
+ */
+
+class QuizGenerator {
+  constructor() {
+    // Sentences outside this range make poor questions
+    this.minSentenceWords = 6;
+    this.maxSentenceWords = 40;
+
+    // Shortest word worth asking about
+    this.minKeyWordLength = 5;
+
+    this.choiceCount = 4;
+
+    this.stopWords = new Set([
+      'about', 'above', 'after', 'again', 'against', 'among', 'because',
+      'before', 'being', 'below', 'between', 'could', 'doing', 'during',
+      'every', 'having', 'their', 'there', 'these', 'those', 'through',
+      'under', 'until', 'where', 'which', 'while', 'would', 'should',
+      'other', 'might', 'shall', 'since', 'still', 'though', 'whose',
+      'yours', 'itself', 'myself', 'themselves', 'another', 'something',
+      'across', 'around', 'within', 'without', 'toward', 'towards', 'almost',
+      'always', 'already', 'however', 'therefore', 'although', 'perhaps',
+      'rather', 'quite', 'never', 'often', 'maybe', 'whether', 'whatever'
+    ]);
+  }
+
+  /**
+   * Generate up to count questions from a list of sentences, alternating
+   * question types. Returns [] when the text is too short to quiz on.
+   */
+  generate(sentences, count) {
+    const candidates = sentences.filter((sentence) => {
+      const length = sentence.split(' ').length;
+      return length >= this.minSentenceWords && length <= this.maxSentenceWords &&
+        this.getKeyWords(sentence).length > 0;
+    });
+
+    if (candidates.length < this.choiceCount) {
+      return [];
+    }
+
+    const vocabulary = [...new Set(candidates.flatMap(sentence => this.getKeyWords(sentence)))];
+    const pool = this.shuffle([...candidates]);
+    const questions = [];
+
+    while (questions.length < count && pool.length > 0) {
+      const sentence = pool.pop();
+      const question = questions.length % 2 === 0
+        ? this.createCloze(sentence, vocabulary)
+        : this.createRecognition(sentence, candidates, vocabulary);
+
+      if (question) {
+        questions.push(question);
+      }
+    }
+
+    return questions;
+  }
+
+  /**
+   * Blank out the longest key word of a sentence
+   */
+  createCloze(sentence, vocabulary) {
+    const keyWords = this.getKeyWords(sentence);
+    const answer = keyWords.reduce((longest, word) => word.length > longest.length ? word : longest);
+
+    // Distractors of similar length and the same capitalization read as
+    // plausible answers
+    const capitalized = /^\p{Lu}/u.test(answer);
+    const distractors = vocabulary
+      .filter(word => word.toLowerCase() !== answer.toLowerCase() &&
+        /^\p{Lu}/u.test(word) === capitalized)
+      .sort((a, b) => Math.abs(a.length - answer.length) - Math.abs(b.length - answer.length))
+      .slice(0, this.choiceCount * 2);
+
+    if (distractors.length < this.choiceCount - 1) {
+      return null;
+    }
+
+    const choices = this.shuffle([answer, ...this.shuffle(distractors).slice(0, this.choiceCount - 1)]);
+
+    return {
+      type: 'cloze',
+      prompt: 'Fill in the missing word:',
+      sentence: this.replaceWord(sentence, answer, '_____'),
+      choices,
+      answer: choices.indexOf(answer)
+    };
+  }
+
+  /**
+   * Offer the real sentence among altered copies of other sentences
+   */
+  createRecognition(sentence, candidates, vocabulary) {
+    const others = this.shuffle(candidates.filter(other => other !== sentence));
+    const fakes = [];
+
+    for (const other of others) {
+      if (fakes.length >= this.choiceCount - 1) break;
+
+      const target = this.shuffle(this.getKeyWords(other))[0];
+      if (!target) continue;
+
+      const capitalized = /^\p{Lu}/u.test(target);
+      const replacement = this.shuffle(vocabulary.filter(word =>
+        !other.includes(word) && /^\p{Lu}/u.test(word) === capitalized))[0];
+      if (!replacement) continue;
+
+      const fake = this.replaceWord(other, target, replacement);
+      if (!candidates.includes(fake)) {
+        fakes.push(fake);
+      }
+    }
+
+    if (fakes.length < this.choiceCount - 1) {
+      return null;
+    }
+
+    const choices = this.shuffle([sentence, ...fakes]);
+
+    return {
+      type: 'recognition',
+      prompt: 'Which of these sentences appeared in the text?',
+      choices,
+      answer: choices.indexOf(sentence)
+    };
+  }
+
+  /**
+   * Words of a sentence worth asking about, without surrounding punctuation
+   */
+  getKeyWords(sentence) {
+    return sentence.split(' ')
+      .map(word => this.stripPunctuation(word))
+      .filter(word => word.length >= this.minKeyWordLength &&
+        /^\p{L}+$/u.test(word) &&
+        !this.stopWords.has(word.toLowerCase()));
+  }
+
+  /**
+   * Replace the first whole-word occurrence of a word in a sentence
+   */
+  replaceWord(sentence, word, replacement) {
+    const tokens = sentence.split(' ');
+    const index = tokens.findIndex(token => this.stripPunctuation(token) === word);
+    if (index !== -1) {
+      tokens[index] = tokens[index].replace(word, replacement);
+    }
+    return tokens.join(' ');
+  }
+
+  /**
+   * Remove leading and trailing punctuation from a word
+   */
+  stripPunctuation(word) {
+    return word.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '');
+  }
+
+  /**
+   * Shuffle an array in place (Fisher-Yates)
+   */
+  shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * RSVP Word Segmenter - Splits text into display words for RSVP
+ *
+ * Space-separated scripts are split on whitespace. Scripts written without
+ * spaces (Chinese, Japanese, Thai, Lao, Khmer, Myanmar) go through
+ * Intl.Segmenter for the detected language. Words too long for the display
+ * are broken at hyphenation points.
+ */
+
+class WordSegmenter {
+  constructor() {
+    // Longest word shown as a single token before it gets hyphenated
+    this.maxWordLength = 18;
+
+    // Intl.Segmenter instances by locale
+    this.segmenters = new Map();
+
+    // Scripts written without spaces between words
+    this.spacelessPattern = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}]/u;
+
+    // Punctuation that belongs to the following word rather than the previous one
+    this.openingPunctuation = /^[(\[{«‹“‘„"'¿¡「『（［｛〈《【〔〖〘〚]+$/u;
+  }
+
+  /**
+   * Split text into words: [{ text, start, end, spaced }]
+   * start/end are offsets into the source text; spaced is false when the
+   * word directly follows the previous one with no whitespace between.
+   * lang is an optional hint such as the page's <html lang>.
+   */
+  segment(text, lang) {
+    const words = [];
+
+    for (const match of text.matchAll(/\S+/g)) {
+      const run = match[0];
+      const pieces = this.spacelessPattern.test(run)
+        ? this.segmentRun(run, this.detectLanguage(run, lang))
+        : [{ text: run, start: 0, end: run.length }];
+
+      pieces.forEach((piece, index) => {
+        for (const part of this.hyphenate(piece)) {
+          words.push({
+            text: part.text,
+            start: match.index + part.start,
+            end: match.index + part.end,
+            spaced: index === 0 && part.start === piece.start
+          });
+        }
+      });
+    }
+
+    return words;
+  }
+
+  /**
+   * Pick a segmentation locale from the characters in a run, using the
+   * hint to tell Chinese and Japanese apart when the run is only Han
+   */
+  detectLanguage(run, lang) {
+    const hint = (lang || '').toLowerCase().split('-')[0];
+
+    if (/[\p{Script=Hiragana}\p{Script=Katakana}]/u.test(run)) return 'ja';
+    if (/\p{Script=Thai}/u.test(run)) return 'th';
+    if (/\p{Script=Lao}/u.test(run)) return 'lo';
+    if (/\p{Script=Khmer}/u.test(run)) return 'km';
+    if (/\p{Script=Myanmar}/u.test(run)) return 'my';
+    if (hint === 'ja' || hint === 'ko') return hint;
+    return 'zh';
+  }
+
+  /**
+   * Get a cached word segmenter for a locale
+   */
+  getSegmenter(locale) {
+    if (!this.segmenters.has(locale)) {
+      this.segmenters.set(locale, new Intl.Segmenter(locale, { granularity: 'word' }));
+    }
+    return this.segmenters.get(locale);
+  }
+
+  /**
+   * Segment a whitespace-free run into words, attaching punctuation to
+   * its neighbouring word
+   */
+  segmentRun(run, locale) {
+    if (typeof Intl === 'undefined' || typeof Intl.Segmenter === 'undefined') {
+      return [{ text: run, start: 0, end: run.length }];
+    }
+
+    const words = [];
+    let prefix = null;  // opening punctuation waiting for its word
+
+    for (const { segment, index, isWordLike } of this.getSegmenter(locale).segment(run)) {
+      const end = index + segment.length;
+
+      if (isWordLike) {
+        if (prefix) {
+          words.push({ text: prefix.text + segment, start: prefix.start, end });
+          prefix = null;
+        } else {
+          words.push({ text: segment, start: index, end });
+        }
+      } else if (this.openingPunctuation.test(segment) || words.length === 0) {
+        prefix = prefix
+          ? { text: prefix.text + segment, start: prefix.start }
+          : { text: segment, start: index };
+      } else {
+        const previous = words[words.length - 1];
+        previous.text += segment;
+        previous.end = end;
+      }
+    }
+
+    // Punctuation with no word after it
+    if (prefix) {
+      const previous = words[words.length - 1];
+      if (previous) {
+        previous.text += prefix.text;
+        previous.end = run.length;
+      } else {
+        words.push({ text: prefix.text, start: prefix.start, end: run.length });
+      }
+    }
+
+    return words;
+  }
+
+  /**
+   * Break a word longer than maxWordLength at hyphenation points: existing
+   * hyphens and soft hyphens first, then at syllable boundaries.
+   * Soft hyphens are removed from the displayed text.
+   */
+  hyphenate(word) {
+    const clean = (text) => text.replace(/\u00AD/g, '');
+    const letters = clean(word.text);
+
+    if (letters.length <= this.maxWordLength) {
+      return [{ ...word, text: letters }];
+    }
+
+    // Split after hyphens and soft hyphens, then greedily rejoin short parts
+    const parts = [];
+    let partStart = 0;
+    for (const match of word.text.matchAll(/[-\u2010\u00AD]/g)) {
+      parts.push({ start: partStart, end: match.index + 1 });
+      partStart = match.index + 1;
+    }
+    parts.push({ start: partStart, end: word.text.length });
+
+    const pieces = [];
+    let current = null;
+    for (const part of parts) {
+      const candidate = current ? { start: current.start, end: part.end } : part;
+      if (current && this.pieceText(word, candidate).length > this.maxWordLength) {
+        pieces.push(current);
+        current = part;
+      } else {
+        current = candidate;
+      }
+    }
+    pieces.push(current);
+
+    return pieces.flatMap(piece => this.splitLongPiece(word, piece));
+  }
+
+  /**
+   * Display text of a slice of a word: soft hyphens dropped, or shown as
+   * a hyphen when the slice ends on one
+   */
+  pieceText(word, piece) {
+    const text = word.text.slice(piece.start, piece.end);
+    const shown = text.endsWith('\u00AD') ? `${text.slice(0, -1)}-` : text;
+    return shown.replace(/\u00AD/g, '');
+  }
+
+  /**
+   * Break a piece that has no usable hyphens into roughly equal parts,
+   * preferring cuts at syllable boundaries
+   */
+  splitLongPiece(word, piece) {
+    const source = word.text;
+    const length = piece.end - piece.start;
+
+    if (this.pieceText(word, piece).length <= this.maxWordLength) {
+      return [this.toPart(word, piece)];
+    }
+
+    const count = Math.ceil(length / (this.maxWordLength - 1));
+    const size = length / count;
+    const parts = [];
+    let start = piece.start;
+
+    for (let i = 1; i < count; i++) {
+      const target = Math.round(piece.start + size * i);
+      let cut = target;
+
+      for (let offset = 0; offset <= 3; offset++) {
+        if (this.isHyphenationPoint(source, target - offset)) {
+          cut = target - offset;
+          break;
+        }
+        if (this.isHyphenationPoint(source, target + offset)) {
+          cut = target + offset;
+          break;
+        }
+      }
+
+      const part = this.toPart(word, { start, end: cut });
+      part.text += '-';
+      parts.push(part);
+      start = cut;
+    }
+
+    parts.push(this.toPart(word, { start, end: piece.end }));
+    return parts;
+  }
+
+  /**
+   * Whether a word can be hyphenated before the character at an offset:
+   * between two letters, before a consonant that starts a syllable
+   * (consonant followed by a vowel), e.g. "schiff|fahrt", "ka|pi|tän"
+   */
+  isHyphenationPoint(text, offset) {
+    if (offset < 2 || offset > text.length - 2) return false;
+    const vowel = /[aeiouyäöüàâéèêëîïôûùáíóú]/i;
+    const letter = /\p{L}/u;
+    const before = text[offset - 1];
+    const after = text[offset];
+    const next = text[offset + 1];
+    // Keep digraphs such as "ch", "sh", "th" and "ck" together
+    if (/^[^aeiouy]h$|^ck$/i.test(before + after)) return false;
+    return letter.test(before) && letter.test(after) && !vowel.test(after) && vowel.test(next);
+  }
+
+  /**
+   * Convert a slice of a word into an output word
+   */
+  toPart(word, piece) {
+    return {
+      text: this.pieceText(word, piece),
+      start: word.start + piece.start,
+      end: word.start + piece.end
+    };
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * RSVP Speech Reader - Reads RSVP tokens aloud with speechSynthesis and
+ * reports which token is being spoken through word boundary events
+ *
+ * Text is spoken one span of tokens at a time (usually a sentence), since
+ * Chrome cuts long utterances short. Boundary events carry a character
+ * index into the spoken text, which is mapped back to a token.
+ */
+
+class SpeechReader {
+  constructor() {
+    // Speaking rate 1 is roughly this many words per minute
+    this.wpmAtRateOne = 180;
+    this.minRate = 0.5;
+    this.maxRate = 4;
+
+    // The utterance currently being spoken; events from older utterances
+    // (e.g. the "interrupted" error after cancel) are ignored
+    this.utterance = null;
+  }
+
+  /**
+   * Whether the browser can speak
+   */
+  isSupported() {
+    return typeof speechSynthesis !== 'undefined' && typeof SpeechSynthesisUtterance !== 'undefined';
+  }
+
+  /**
+   * Map a WPM target onto a speaking rate
+   */
+  getRate(wpm) {
+    return Math.max(this.minRate, Math.min(this.maxRate, wpm / this.wpmAtRateOne));
+  }
+
+  /**
+   * Pick the voice with the given URI, or else the first voice for the
+   * language (preferring its default), or null for the browser default
+   */
+  getVoice(voiceURI, lang) {
+    const voices = speechSynthesis.getVoices();
+    if (voiceURI) {
+      const voice = voices.find(v => v.voiceURI === voiceURI);
+      if (voice) return voice;
+    }
+
+    const prefix = (lang || '').toLowerCase().split('-')[0];
+    if (!prefix) return null;
+
+    const matching = voices.filter(v => v.lang.toLowerCase().split(/[-_]/)[0] === prefix);
+    return matching.find(v => v.default) || matching[0] || null;
+  }
+
+  /**
+   * Speak a list of tokens ({ text, spaced }).
+   * options: { wpm, voiceURI, lang }
+   * handlers: { onStart(), onWord(offset), onEnd() } where offset is the
+   * index into tokens of the word being spoken. Some voices send no word
+   * boundaries at all, so onWord may never be called.
+   * Returns the speaking rate used.
+   */
+  speak(tokens, options, handlers) {
+    this.cancel();
+
+    // Character offset where each token starts in the spoken text
+    const starts = [];
+    let text = '';
+    tokens.forEach((token, i) => {
+      if (i > 0 && token.spaced !== false) text += ' ';
+      starts.push(text.length);
+      text += token.text;
+    });
+
+    const utterance = new SpeechSynthesisUtterance(text);
+    const voice = this.getVoice(options.voiceURI, options.lang);
+    if (voice) {
+      utterance.voice = voice;
+      utterance.lang = voice.lang;
+    } else if (options.lang) {
+      utterance.lang = options.lang;
+    }
+    utterance.rate = this.getRate(options.wpm);
+
+    utterance.onstart = () => {
+      if (utterance !== this.utterance) return;
+      handlers.onStart();
+    };
+    utterance.onboundary = (event) => {
+      if (utterance !== this.utterance || event.name !== 'word') return;
+      handlers.onWord(this.findToken(starts, event.charIndex));
+    };
+
+    const finish = () => {
+      if (utterance !== this.utterance) return;
+      this.utterance = null;
+      handlers.onEnd();
+    };
+    utterance.onend = finish;
+    utterance.onerror = (event) => {
+      if (event.error === 'interrupted' || event.error === 'canceled') return;
+      console.error('Prism Pacer: Speech error:', event.error);
+      finish();
+    };
+
+    this.utterance = utterance;
+    speechSynthesis.speak(utterance);
+    return utterance.rate;
+  }
+
+  /**
+   * Index of the token containing a character offset
+   */
+  findToken(starts, charIndex) {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (starts[mid] <= charIndex) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Stop speaking, if we are
+   */
+  cancel() {
+    if (!this.utterance) return;
+    this.utterance = null;
+    speechSynthesis.cancel();
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * RSVP Timing Model - Decides how long each token stays on screen
+ *
+ * Every word gets a relative weight from a set of pluggable rules (length,
+ * numbers, punctuation, ...). Weights are then normalized so the session's
+ * average speed still matches the target WPM; harder words borrow time from
+ * easier ones instead of slowing the whole read down.
+ */
+
+class TimingModel {
+  constructor() {
+    // name -> rule(word, context) returning a multiplier (1 = neutral)
+    this.rules = new Map();
+
+    // Short function words the eye recognizes almost instantly
+    this.commonWords = new Set([
+      'a', 'an', 'the', 'and', 'or', 'but', 'of', 'to', 'in', 'on', 'at',
+      'by', 'for', 'with', 'as', 'is', 'it', 'be', 'was', 'are', 'i', 'you',
+      'he', 'she', 'we', 'they', 'this', 'that', 'not', 'if', 'so', 'do'
+    ]);
+
+    this.registerDefaultRules();
+  }
+
+  /**
+   * Add or replace a timing rule
+   */
+  addRule(name, rule) {
+    this.rules.set(name, rule);
+  }
+
+  /**
+   * Remove a timing rule
+   */
+  removeRule(name) {
+    this.rules.delete(name);
+  }
+
+  /**
+   * Built-in rules
+   */
+  registerDefaultRules() {
+    // Longer words take longer to recognize
+    this.addRule('length', (word, ctx) => {
+      const length = ctx.letters.length;
+      if (length <= 3) return 0.9;
+      if (length <= 6) return 1;
+      return Math.min(1.5, 1 + (length - 6) * 0.05);
+    });
+
+    // Very common short words can be shown more briefly
+    this.addRule('common', (word, ctx) => {
+      return this.commonWords.has(ctx.letters.toLowerCase()) ? 0.85 : 1;
+    });
+
+    // Long words are usually rare words; give them extra time
+    this.addRule('rare', (word, ctx) => {
+      return ctx.letters.length >= 12 ? 1.2 : 1;
+    });
+
+    // Numbers must be read digit by digit
+    this.addRule('number', (word) => {
+      return /\d/.test(word) ? 1.4 : 1;
+    });
+
+    // camelCase, snake_case, dotted.paths, calls() and the like
+    this.addRule('code', (word) => {
+      return /[a-z][A-Z]|\w_\w|\w\.\w|\(\)|::|->|[{}<>=]/.test(word) ? 1.5 : 1;
+    });
+
+    // Dialogue reads slightly slower than narration
+    this.addRule('quote', (word, ctx) => {
+      return ctx.inQuote ? 1.15 : 1;
+    });
+
+    // Pauses at sentence and clause ends
+    this.addRule('punctuation', (word, ctx) => {
+      if (!ctx.pauseOnPunctuation) return 1;
+      if (/[.!?]['"”’)\]]*$/.test(word)) return 2;
+      if (/[,;:—–]['"”’)\]]*$/.test(word)) return 1.5;
+      return 1;
+    });
+
+    // Breathing room between paragraphs
+    this.addRule('paragraph', (word, ctx) => {
+      return ctx.isParagraphEnd ? 2.2 : 1;
+    });
+  }
+
+  /**
+   * Compute a per-token weight. Apart from the warm-up stretch, the
+   * weights sum to the total word count, so a token's delay is
+   * weight × (one word at the target WPM).
+   *
+   * options: { paragraphStarts, pauseOnPunctuation, holds, warmupFrom,
+   * warmupWords, warmupStartRatio } where holds are per-token multipliers
+   * (e.g. longer holds for headings), spread across the session by the
+   * normalizing, and warmupFrom is the token playback starts at
+   */
+  computeWeights(tokens, options = {}) {
+    const paragraphEnds = new Set((options.paragraphStarts || []).map(start => start - 1));
+    paragraphEnds.add(tokens.length - 1);
+
+    const weights = [];
+    let inQuote = false;
+    let totalWords = 0;
+
+    tokens.forEach((token, index) => {
+      const words = token.split(' ').filter(Boolean);
+      let weight = 0;
+
+      words.forEach((word, wordIndex) => {
+        if (/^['"“‘«]/.test(word)) inQuote = true;
+
+        const ctx = {
+          letters: word.replace(/[^\p{L}\p{N}]/gu, ''),
+          inQuote,
+          isParagraphEnd: paragraphEnds.has(index) && wordIndex === words.length - 1,
+          pauseOnPunctuation: options.pauseOnPunctuation !== false
+        };
+
+        let multiplier = 1;
+        for (const rule of this.rules.values()) {
+          multiplier *= rule(word, ctx);
+        }
+        weight += multiplier;
+
+        if (/['"”’»]\W*$/.test(word) && !/^['"“‘«]\W*$/.test(word)) inQuote = false;
+      });
+
+      weights.push(weight * ((options.holds && options.holds[index]) || 1));
+      totalWords += words.length;
+    });
+
+    // Normalize so the average speed matches the target WPM
+    const sum = weights.reduce((total, weight) => total + weight, 0);
+    if (sum > 0) {
+      const scale = totalWords / sum;
+      for (let i = 0; i < weights.length; i++) {
+        weights[i] *= scale;
+      }
+    }
+
+    // The warm-up only slows the opening, after normalizing, so the
+    // reading after it runs at the target rather than above it
+    this.applyWarmup(weights, options.warmupFrom || 0, options.warmupWords || 0, options.warmupStartRatio || 0.6);
+
+    return weights;
+  }
+
+  /**
+   * Stretch the tokens from the starting one so playback ramps up from a
+   * lower WPM (startRatio × target) to the target over warmupWords tokens
+   */
+  applyWarmup(weights, from, warmupWords, startRatio) {
+    const count = Math.min(warmupWords, weights.length - from);
+    for (let i = 0; i < count; i++) {
+      const ratio = startRatio + (1 - startRatio) * (i / count);
+      weights[from + i] /= ratio;
+    }
+  }
+}
@@ -16,6 +16,22 @@ class RSVPPlayer {
     this.isPlaying = false;
     this.intervalId = null;
     
+    // Source DOM range per token (null when read from plain text)
+    this.ranges = [];
+    
+    // Token indexes where each paragraph / sentence begins (for seeking)
+    this.paragraphStarts = [];
+    this.sentenceStarts = [];
+    
+    // Scrubber drag state
+    this.isScrubbing = false;
+    this.resumeAfterScrub = false;
+    this.scrubStartIndex = 0;
+    
+    this.handleScrubStart = this.handleScrubStart.bind(this);
+    this.handleScrubMove = this.handleScrubMove.bind(this);
+    this.handleScrubEnd = this.handleScrubEnd.bind(this);
+    
     this.settings = {
       wpm: 300,
       chunkSize: 1,
@@ -23,11 +39,121 @@ class RSVPPlayer {
       fontFamily: 'system-ui',
       pauseOnPunctuation: true,
       backgroundColor: '#1a1a1a',
-      textColor: '#ffffff'
+      textColor: '#ffffff',
+      theme: 'dark',
+      orpAlignment: false,
+      pivotColor: '#ef4444',
+      timingModel: 'smart',
+      warmupWords: 10,
+      displayMode: 'word',
+      flowLines: 4,
+      chunking: 'fixed',
+      maxChunkWidth: 20,
+      comprehensionCheck: false,
+      quizQuestions: 3,
+      trainingMode: 'off',
+      trainingStep: 25,
+      trainingSessions: 3,
+      trainingMaxPauses: 2,
+      trainingMinComprehension: 70,
+      codeBlocks: 'show',
+      popOut: false,
+      readAloud: false,
+      speechVoice: '',
+      speechLang: ''
+    };
+    
+    // 'word' flashes one token at a time; 'flow' highlights tokens in
+    // a few lines of running text. Chosen per session.
+    this.displayMode = 'word';
+    this.flowWindow = null;
+    this.flowCurrent = null;
+    
+    // Resume support: hash of the loaded text, word offset of each token,
+    // and a pending "Resume from N%" offer
+    this.sessionHash = null;
+    this.tokenWordStarts = [];
+    this.totalWords = 0;
+    this.resumeOffer = null;
+    this.completed = false;
+    this.maxSavedPages = 50;
+    
+    // Saved sessions of every page, kept in step with storage so a save
+    // while the page unloads is a single write with nothing to read first
+    this.savedSessions = null;
+    
+    // Per-token display weights from the timing model (smart timing only)
+    this.timing = new TimingModel();
+    this.weights = [];
+    // Token the warm-up ramps from (where playback started or resumed)
+    this.warmupStart = 0;
+    
+    // Language-aware word splitting; tokenSpaced[i] is false when token i
+    // follows the previous one without a space (CJK, Thai, hyphenated parts)
+    this.segmenter = new WordSegmenter();
+    this.tokenSpaced = [];
+    
+    // Structure-aware reading: each token's kind ('text', 'heading',
+    // 'listItem', 'marker' for "Row N:", 'code') and its hold multiplier
+    this.tokenKinds = [];
+    this.tokenHolds = [];
+    this.structureHolds = {
+      heading: 1.5,
+      headingEnd: 2.5,
+      listItemEnd: 2,
+      marker: 1.2
     };
     
+    // Code blocks are shown whole for a time based on their line count
+    this.codeHoldPerLine = 400;
+    this.minCodeHold = 2000;
+    this.maxCodeHold = 10000;
+    
+    // Read-aloud mode: speech boundary events drive currentIndex instead
+    // of the timer, or a rate-scaled timer for voices without boundaries
+    this.speech = new SpeechReader();
+    this.speechFollowId = null;
+    
+    // Groups words into phrases when chunking is set to 'phrase'
+    this.chunker = new PhraseChunker();
+    
+    // Optional comprehension check after a completed session; results
+    // are kept in a capped history alongside the WPM
+    this.quizGenerator = new QuizGenerator();
+    this.quiz = null;
+    this.maxHistory = 200;
+    
+    // Document Picture-in-Picture window the reader is popped out into,
+    // if any; the overlay moves there and back
+    this.pipWindow = null;
+    this.pipSize = { width: 480, height: 320 };
+    
+    // Pauses and backward seeks in the current session, for the speed trainer
+    this.sessionPauses = 0;
+    this.sessionRewinds = 0;
+    
+    // Configured target WPM; settings.wpm is the live speed, which the
+    // speed keys and resume can change mid-session
+    this.targetWpm = null;
+    
+    // Pending writes to the stored settings, run one after another
+    this.settingsUpdate = Promise.resolve();
+    
     this.onComplete = null;
     this.onExit = null;
+    
+    // Block elements that start a new paragraph when reading from the DOM
+    this.blockTags = new Set([
+      'P', 'DIV', 'LI', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6',
+      'PRE', 'BLOCKQUOTE', 'TD', 'TH', 'ARTICLE', 'SECTION',
+      'HEADER', 'FOOTER', 'ASIDE', 'NAV', 'MAIN', 'DD', 'DT',
+      'FIGCAPTION', 'FIGURE', 'ADDRESS'
+    ]);
+    
+    // Elements whose text is never read
+    this.skipTags = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEXTAREA', 'SELECT', 'OPTION']);
+    
+    this.clearSourceHighlight = this.clearSourceHighlight.bind(this);
   }
 
   /**
@@ -45,18 +171,19 @@ class RSVPPlayer {
       left: 0;
       width: 100%;
       height: 100%;
-      background: rgba(0, 0, 0, 0.9);
+      background: color-mix(in srgb, var(--rsvp-bg) 95%, transparent);
       display: none;
       justify-content: center;
       align-items: center;
       flex-direction: column;
       z-index: 2147483647;
-      font-family: ${this.settings.fontFamily}, -apple-system, BlinkMacSystemFont, sans-serif;
+      font-family: var(--rsvp-font);
     `;
+    this.applyTheme();
     
     // Create main content area
-    const content = document.createElement('div');
-    content.style.cssText = `
+    this.content = document.createElement('div');
+    this.content.style.cssText = `
       display: flex;
       flex-direction: column;
       align-items: center;
@@ -66,27 +193,117 @@ class RSVPPlayer {
       width: 100%;
     `;
     
+    // Word frame holds the word plus the fixation guide used in ORP mode
+    this.wordFrame = document.createElement('div');
+    this.wordFrame.style.cssText = `
+      position: relative;
+      width: 100%;
+      padding: 16px 0;
+      box-sizing: border-box;
+    `;
+    
     // Word display area
     this.wordDisplay = document.createElement('div');
     this.wordDisplay.style.cssText = `
       font-size: ${this.settings.fontSize}px;
-      color: ${this.settings.textColor};
-      font-weight: 500;
+      color: var(--rsvp-text);
+      font-weight: var(--rsvp-font-weight);
+      letter-spacing: var(--rsvp-letter-spacing);
+      word-spacing: var(--rsvp-word-spacing);
       min-height: 60px;
       display: flex;
       align-items: center;
       justify-content: center;
       text-align: center;
-      line-height: 1.4;
+      line-height: var(--rsvp-line-height);
+    `;
+    
+    // Flow display: a few lines of text with a moving highlight
+    this.flowDisplay = document.createElement('div');
+    this.flowDisplay.style.cssText = `
+      position: relative;
+      display: none;
+      color: var(--rsvp-muted);
+      font-weight: var(--rsvp-font-weight);
+      letter-spacing: var(--rsvp-letter-spacing);
+      word-spacing: var(--rsvp-word-spacing);
+      line-height: var(--rsvp-line-height);
+      text-align: left;
+      overflow: hidden;
+      scroll-behavior: smooth;
+    `;
+    this.flowDisplay.addEventListener('click', (e) => this.handleContextClick(e));
+    this.updateFlowLayout();
+    
+    this.orpGuide = this.createOrpGuide();
+    this.wordFrame.appendChild(this.orpGuide);
+    this.wordFrame.appendChild(this.wordDisplay);
+    this.wordFrame.appendChild(this.flowDisplay);
+    
+    // Resume prompt for unfinished sessions on this page
+    this.resumePrompt = document.createElement('div');
+    this.resumePrompt.style.cssText = `
+      display: none;
+      align-items: center;
+      gap: 12px;
+      color: var(--rsvp-muted);
+      font-size: 14px;
+    `;
+    this.resumeButton = this.createButton('Resume', () => this.acceptResume());
+    this.resumeButton.style.boxShadow = 'inset 0 0 0 2px var(--rsvp-accent)';
+    const startOverButton = this.createButton('Start over', () => this.declineResume());
+    this.resumePrompt.appendChild(this.resumeButton);
+    this.resumePrompt.appendChild(startOverButton);
+    
+    // Context panel: the surrounding paragraph, shown while paused
+    this.contextDisplay = document.createElement('div');
+    this.contextDisplay.style.cssText = `
+      color: var(--rsvp-muted);
+      font-size: 16px;
+      line-height: 1.7;
+      text-align: left;
+      width: 100%;
+      max-width: 640px;
+      max-height: 30vh;
+      overflow-y: auto;
+      padding: 12px 16px;
+      box-sizing: border-box;
+      border-radius: 8px;
+      background: color-mix(in srgb, var(--rsvp-text) 5%, transparent);
+      display: none;
+    `;
+    this.contextDisplay.addEventListener('click', (e) => this.handleContextClick(e));
+    
+    // Comprehension check, shown in place of the word after completion
+    this.quizPanel = document.createElement('div');
+    this.quizPanel.style.cssText = `
+      display: none;
+      flex-direction: column;
+      gap: 16px;
+      width: 100%;
+      max-width: 640px;
+      color: var(--rsvp-text);
+      font-size: 16px;
+      line-height: 1.5;
+    `;
+    
+    // Scrubber: a taller hit area around the visible progress track
+    this.scrubber = document.createElement('div');
+    this.scrubber.style.cssText = `
+      width: 100%;
+      max-width: 400px;
+      padding: 8px 0;
+      cursor: pointer;
+      touch-action: none;
     `;
+    this.scrubber.addEventListener('pointerdown', this.handleScrubStart);
     
     // Progress bar container
     const progressContainer = document.createElement('div');
     progressContainer.style.cssText = `
       width: 100%;
-      max-width: 400px;
       height: 4px;
-      background: #3f3f46;
+      background: var(--rsvp-track);
       border-radius: 2px;
       overflow: hidden;
     `;
@@ -94,11 +311,12 @@ class RSVPPlayer {
     this.progressBar = document.createElement('div');
     this.progressBar.style.cssText = `
       height: 100%;
-      background: #3b82f6;
+      background: var(--rsvp-accent);
       width: 0%;
       transition: width 0.1s linear;
     `;
     progressContainer.appendChild(this.progressBar);
+    this.scrubber.appendChild(progressContainer);
     
     // Controls container
     this.controlsContainer = document.createElement('div');
@@ -118,37 +336,246 @@ class RSVPPlayer {
     // Speed up button
     const speedUpBtn = this.createButton('Faster ▶', () => this.adjustSpeed(50));
     
+    // Switch between single-word and flow display for this session
+    this.displayModeBtn = this.createButton('', () => this.toggleDisplayMode());
+    this.displayModeBtn.style.minWidth = '90px';
+    
     this.controlsContainer.appendChild(speedDownBtn);
     this.controlsContainer.appendChild(this.playPauseBtn);
     this.controlsContainer.appendChild(speedUpBtn);
+    this.controlsContainer.appendChild(this.displayModeBtn);
+    
+    // Move the reader into an always-on-top window and back
+    this.popOutBtn = this.createButton('⧉ Pop out', () => this.togglePopOut());
+    this.controlsContainer.appendChild(this.popOutBtn);
     
     // Speed display
     this.speedDisplay = document.createElement('div');
     this.speedDisplay.style.cssText = `
-      color: #71717a;
+      color: var(--rsvp-muted);
       font-size: 14px;
       margin-top: 10px;
     `;
     this.updateSpeedDisplay();
     
     // Exit hint
-    const exitHint = document.createElement('div');
-    exitHint.style.cssText = `
-      color: #52525b;
+    this.exitHint = document.createElement('div');
+    this.exitHint.style.cssText = `
+      color: var(--rsvp-muted);
+      opacity: 0.7;
       font-size: 12px;
       margin-top: 20px;
     `;
-    exitHint.textContent = 'Press Escape to exit';
+    this.exitHint.textContent = 'Press Escape to exit';
     
     // Assemble
-    content.appendChild(this.wordDisplay);
-    content.appendChild(progressContainer);
-    content.appendChild(this.controlsContainer);
-    content.appendChild(this.speedDisplay);
-    content.appendChild(exitHint);
-    this.overlay.appendChild(content);
+    this.content.appendChild(this.wordFrame);
+    this.content.appendChild(this.resumePrompt);
+    this.content.appendChild(this.contextDisplay);
+    this.content.appendChild(this.quizPanel);
+    this.content.appendChild(this.scrubber);
+    this.content.appendChild(this.controlsContainer);
+    this.content.appendChild(this.speedDisplay);
+    this.content.appendChild(this.exitHint);
+    this.overlay.appendChild(this.content);
+    
+    uiRoot.mount(this.overlay);
+    this.updateOrpGuide();
+    
+    // Keep the position if the tab is hidden, closed or navigated
+    // mid-session
+    const saveOnLeave = () => {
+      if (this.isActive()) this.saveSession();
+    };
+    window.addEventListener('pagehide', saveOnLeave);
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') saveOnLeave();
+    });
+    
+    // Other tabs save their sessions too
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && changes.rsvpSessions) {
+        this.savedSessions = changes.rsvpSessions.newValue || {};
+      }
+    });
+  }
+
+  /**
+   * Create the fixation guide: horizontal rules above and below the word
+   * with a notch marking the column where the pivot letter sits
+   */
+  createOrpGuide() {
+    const guide = document.createElement('div');
+    guide.style.cssText = `
+      position: absolute;
+      inset: 0;
+      pointer-events: none;
+      display: none;
+    `;
+    
+    const lineStyle = `
+      position: absolute;
+      left: 10%;
+      right: 10%;
+      height: 0;
+      border-top: 1px solid var(--rsvp-track);
+    `;
+    const notchStyle = `
+      position: absolute;
+      left: 50%;
+      width: 0;
+      height: 10px;
+      border-left: 2px solid var(--rsvp-track);
+      transform: translateX(-50%);
+    `;
+    
+    const topLine = document.createElement('div');
+    topLine.style.cssText = `${lineStyle} top: 0;`;
+    const topNotch = document.createElement('div');
+    topNotch.style.cssText = `${notchStyle} top: 0;`;
+    
+    const bottomLine = document.createElement('div');
+    bottomLine.style.cssText = `${lineStyle} bottom: 0;`;
+    const bottomNotch = document.createElement('div');
+    bottomNotch.style.cssText = `${notchStyle} bottom: 0;`;
+    
+    guide.appendChild(topLine);
+    guide.appendChild(topNotch);
+    guide.appendChild(bottomLine);
+    guide.appendChild(bottomNotch);
+    return guide;
+  }
+
+  /**
+   * Show or hide the fixation guide for the current settings
+   */
+  updateOrpGuide() {
+    if (!this.orpGuide) return;
+    const visible = this.settings.orpAlignment && this.displayMode === 'word';
+    this.orpGuide.style.display = visible ? 'block' : 'none';
+  }
+
+  /**
+   * Size the flow display to the configured number of lines
+   */
+  updateFlowLayout() {
+    if (!this.flowDisplay) return;
+    
+    const lines = Math.max(3, Math.min(5, this.settings.flowLines || 4));
+    this.flowDisplay.style.fontSize = `${Math.round(this.settings.fontSize * 0.75)}px`;
+    this.flowDisplay.style.height = `calc(var(--rsvp-line-height) * ${lines}em)`;
+  }
+
+  /**
+   * Switch between word and flow display without restarting the session
+   */
+  toggleDisplayMode() {
+    this.setDisplayMode(this.displayMode === 'flow' ? 'word' : 'flow');
+  }
+
+  /**
+   * Set the display mode for the current session
+   */
+  setDisplayMode(mode) {
+    this.displayMode = mode === 'flow' ? 'flow' : 'word';
+    
+    if (this.displayModeBtn) {
+      this.displayModeBtn.textContent = this.displayMode === 'flow' ? '▭ Word' : '☰ Flow';
+    }
+    this.updateOrpGuide();
+    
+    if (this.isActive() && !this.quiz && this.currentIndex < this.words.length) {
+      if (this.displayMode === 'flow') {
+        this.hideContext();
+      }
+      this.showCurrentWord();
+    }
+  }
+
+  /**
+   * Pop the reader out into a Picture-in-Picture window, or dock it back
+   */
+  togglePopOut() {
+    if (this.pipWindow) {
+      // Docking happens in the window's pagehide handler
+      this.pipWindow.close();
+      return;
+    }
+    return this.popOut();
+  }
+
+  /**
+   * Move the overlay into a Document Picture-in-Picture window that stays
+   * on top of the page. Must run from a user gesture (click or shortcut).
+   */
+  async popOut() {
+    if (this.pipWindow || !this.overlay) return;
+    
+    if (!('documentPictureInPicture' in window)) {
+      toast.show('Pop-out window is not supported in this browser', '⚠', 2500);
+      return;
+    }
+    
+    let pipWindow;
+    try {
+      pipWindow = await documentPictureInPicture.requestWindow(this.pipSize);
+    } catch (e) {
+      console.error('Prism Pacer: Failed to open pop-out window:', e);
+      toast.show('Could not open pop-out window', '⚠', 2000);
+      return;
+    }
     
-    document.body.appendChild(this.overlay);
+    this.pipWindow = pipWindow;
+    pipWindow.document.title = 'Prism Pacer RSVP';
+    pipWindow.document.body.style.margin = '0';
+    pipWindow.document.body.appendChild(this.overlay);
+    this.setPopOutLayout(true);
+    
+    // Reader shortcuts only come from the pop-out window, so keys typed in
+    // the page scroll it and reach its fields as usual
+    if (typeof keybindingManager !== 'undefined') {
+      keybindingManager.setContextDocument(pipWindow.document);
+      pipWindow.document.addEventListener('keydown', keybindingManager.handleKeyDown);
+    }
+    pipWindow.addEventListener('pagehide', () => this.dock());
+  }
+
+  /**
+   * Return the overlay from the pop-out window to the page
+   */
+  dock() {
+    if (!this.pipWindow) return;
+    
+    if (typeof keybindingManager !== 'undefined') {
+      this.pipWindow.document.removeEventListener('keydown', keybindingManager.handleKeyDown);
+      keybindingManager.setContextDocument(null);
+    }
+    this.pipWindow = null;
+    uiRoot.mount(this.overlay);
+    this.setPopOutLayout(false);
+  }
+
+  /**
+   * Compact layout for the small pop-out window
+   */
+  setPopOutLayout(active) {
+    this.content.style.gap = active ? '16px' : '40px';
+    this.content.style.padding = active ? '16px' : '40px';
+    this.content.style.boxSizing = active ? 'border-box' : '';
+    this.controlsContainer.style.gap = active ? '8px' : '20px';
+    this.controlsContainer.style.flexWrap = active ? 'wrap' : '';
+    this.controlsContainer.style.justifyContent = active ? 'center' : '';
+    this.speedDisplay.style.marginTop = active ? '0' : '10px';
+    this.exitHint.style.display = active ? 'none' : 'block';
+    this.popOutBtn.textContent = active ? '⧉ Dock' : '⧉ Pop out';
+  }
+
+  /**
+   * Apply the selected theme (or the custom font and colors) to the overlay
+   */
+  applyTheme() {
+    if (!this.overlay) return;
+    applyRsvpThemeVariables(this.overlay, resolveRsvpTheme(this.settings));
   }
 
   /**
@@ -158,8 +585,8 @@ class RSVPPlayer {
     const btn = document.createElement('button');
     btn.textContent = text;
     btn.style.cssText = `
-      background: #27272a;
-      color: #e4e4e7;
+      background: var(--rsvp-button);
+      color: var(--rsvp-button-text);
       border: none;
       padding: 10px 20px;
       border-radius: 6px;
@@ -168,10 +595,10 @@ class RSVPPlayer {
       transition: background 0.2s;
     `;
     btn.addEventListener('mouseenter', () => {
-      btn.style.background = '#3f3f46';
+      btn.style.background = 'var(--rsvp-button-hover)';
     });
     btn.addEventListener('mouseleave', () => {
-      btn.style.background = '#27272a';
+      btn.style.background = 'var(--rsvp-button)';
     });
     btn.addEventListener('click', onClick);
     return btn;
@@ -182,13 +609,22 @@ class RSVPPlayer {
    */
   updateSettings(newSettings) {
     this.settings = { ...this.settings, ...newSettings };
+    if (newSettings.wpm !== undefined) {
+      this.targetWpm = newSettings.wpm;
+    }
     
     if (this.wordDisplay) {
       this.wordDisplay.style.fontSize = `${this.settings.fontSize}px`;
-      this.wordDisplay.style.color = this.settings.textColor;
     }
     
+    this.applyTheme();
+    this.updateFlowLayout();
+    this.updateOrpGuide();
     this.updateSpeedDisplay();
+    
+    if (this.words.length > 0) {
+      this.computeWeights();
+    }
   }
 
   /**
@@ -203,31 +639,92 @@ class RSVPPlayer {
   /**
    * Start RSVP with given text
    */
-  start(text) {
+  start(text, options) {
     if (!text || text.trim().length === 0) {
       toast.show('Please select some text first', '⚠', 2000);
       return;
     }
     
+    return this.begin(this.tokenize(text), options);
+  }
+
+  /**
+   * Start RSVP from a live DOM range (a selection, or "from here" to the
+   * end of a block), keeping each token linked to its source text.
+   * fallbackText is read unlinked when the range has no readable text of
+   * its own (e.g. a selection inside a textarea or input).
+   */
+  startFromRange(range, fallbackText = '') {
+    const entries = range && !range.collapsed ? this.tokenizeRange(range) : [];
+    if (entries.length === 0) {
+      return this.start(fallbackText);
+    }
+    
+    return this.begin(entries);
+  }
+
+  /**
+   * Start RSVP from typed article blocks (see ArticleExtractor.toBlocks)
+   */
+  startBlocks(blocks, options) {
+    return this.begin(this.tokenizeBlocks(blocks), options);
+  }
+
+  /**
+   * Load word entries and start playback.
+   * options.wordIndex starts at that word instead of offering to resume
+   * a saved session, and options.queued marks a session the reading queue
+   * started; any other session takes over from the queue.
+   */
+  async begin(entries, options = {}) {
+    if (!options.queued && typeof readingQueue !== 'undefined') {
+      readingQueue.interrupt();
+    }
+    
     this.init();
+    this.clearSourceHighlight();
+    this.hideResumePrompt();
+    this.hideQuiz();
+    this.completed = false;
+    this.sessionPauses = 0;
+    this.sessionRewinds = 0;
+    this.setDisplayMode(this.settings.displayMode);
     
-    // Tokenize text into words
-    this.words = this.tokenize(text);
-    this.currentIndex = 0;
+    this.load(entries);
     
     if (this.words.length === 0) {
       toast.show('No readable text found', '⚠', 2000);
       return;
     }
     
+    // Requested before any await so the starting keypress still counts
+    // as the user gesture the window needs. Without a gesture (the queue
+    // started from the popup, or moving on to its next item) the reader
+    // stays in the page.
+    if (this.settings.popOut && (navigator.userActivation?.isActive ?? true)) {
+      this.popOut();
+    }
+    
+    this.sessionHash = this.hashEntries(entries);
+    let saved = await this.loadSavedSession();
+    if (options.wordIndex > 0) {
+      saved = null;
+      this.currentIndex = this.getTokenIndex(options.wordIndex);
+      this.startWarmupAt(this.currentIndex);
+    }
+    
     // Show overlay
     this.overlay.style.display = 'flex';
     
     // Show first word
     this.showCurrentWord();
     
-    // Start playback
-    this.play();
+    // Offer to resume an unfinished session, otherwise start playback
+    if (saved) {
+      this.showResumePrompt(saved);
+    } else {
+      this.play();
+    }
     
     // Set RSVP context for keybindings
     if (typeof keybindingManager !== 'undefined') {
@@ -236,153 +733,1078 @@ class RSVPPlayer {
   }
 
   /**
-   * Tokenize text into words/chunks
+   * Tokenize plain text into word entries.
+   * Paragraphs are separated by blank lines.
    */
   tokenize(text) {
-    // Clean up the text
-    const cleaned = text
-      .replace(/\s+/g, ' ')
-      .trim();
-    
-    // Split into words
-    const words = cleaned.split(' ').filter(w => w.length > 0);
-    
-    // Group into chunks if needed
-    if (this.settings.chunkSize > 1) {
-      const chunks = [];
-      for (let i = 0; i < words.length; i += this.settings.chunkSize) {
-        chunks.push(words.slice(i, i + this.settings.chunkSize).join(' '));
-      }
-      return chunks;
-    }
+    const entries = [];
+    const paragraphs = text.split(/\n\s*\n/);
+    const lang = document.documentElement.lang;
     
-    return words;
-  }
-
-  /**
-   * Show the current word
-   */
-  showCurrentWord() {
-    if (this.currentIndex >= this.words.length) {
-      this.complete();
-      return;
+    for (const paragraph of paragraphs) {
+      // Clean up the text
+      const cleaned = paragraph
+        .replace(/\s+/g, ' ')
+        .trim();
+      
+      // Split into words
+      const words = this.segmenter.segment(cleaned, lang);
+      
+      words.forEach((word, i) => {
+        entries.push({ text: word.text, range: null, paragraphStart: i === 0, spaced: word.spaced });
+      });
     }
     
-    const word = this.words[this.currentIndex];
-    this.wordDisplay.textContent = word;
-    
-    // Update progress
-    const progress = ((this.currentIndex + 1) / this.words.length) * 100;
-    this.progressBar.style.width = `${progress}%`;
+    return entries;
   }
 
   /**
-   * Calculate delay for current word
+   * Tokenize typed blocks into word entries: headings and list items keep
+   * their kind, table rows are announced with a "Row N:" marker and code
+   * blocks become a single entry (or are skipped)
    */
-  getDelay() {
-    const baseDelay = (60 / this.settings.wpm) * 1000;
+  tokenizeBlocks(blocks) {
+    const entries = [];
+    const lang = document.documentElement.lang;
     
-    if (this.settings.pauseOnPunctuation && this.currentIndex < this.words.length) {
-      const word = this.words[this.currentIndex];
-      // Pause longer on sentence-ending punctuation
-      if (/[.!?]$/.test(word)) {
-        return baseDelay * 2;
+    for (const block of blocks) {
+      if (block.kind === 'code') {
+        if (this.settings.codeBlocks !== 'skip') {
+          entries.push({ text: block.text, range: null, paragraphStart: true, kind: 'code' });
+        }
+        continue;
       }
-      // Slight pause on commas, semicolons
-      if (/[,;:]$/.test(word)) {
-        return baseDelay * 1.5;
+      
+      const words = this.segmenter.segment(block.text.replace(/\s+/g, ' ').trim(), lang);
+      if (words.length === 0) continue;
+      
+      if (block.kind === 'tableRow') {
+        entries.push(this.createRowMarker(block.index));
       }
+      
+      const kind = block.kind === 'heading' || block.kind === 'listItem' ? block.kind : undefined;
+      words.forEach((word, i) => {
+        entries.push({
+          text: i === 0 && kind === 'listItem' ? `•\u00a0${word.text}` : word.text,
+          range: null,
+          paragraphStart: i === 0 && block.kind !== 'tableRow',
+          spaced: word.spaced,
+          kind
+        });
+      });
     }
     
-    return baseDelay;
+    this.markStructureHolds(entries);
+    return entries;
   }
 
   /**
-   * Play the RSVP
+   * Entry announcing a table row
    */
-  play() {
-    if (this.isPlaying) return;
-    
-    this.isPlaying = true;
-    this.updatePlayPauseButton();
-    this.scheduleNextWord();
+  createRowMarker(index) {
+    return { text: `Row ${index}:`, range: null, paragraphStart: true, kind: 'marker' };
   }
 
   /**
-   * Schedule the next word
+   * Give headings, list item ends and row markers a longer hold
    */
-  scheduleNextWord() {
-    if (!this.isPlaying) return;
-    
-    const delay = this.getDelay();
-    
-    this.intervalId = setTimeout(() => {
-      this.currentIndex++;
-      this.showCurrentWord();
+  markStructureHolds(entries) {
+    entries.forEach((entry, i) => {
+      const next = entries[i + 1];
+      const isEnd = !next || next.paragraphStart || next.kind !== entry.kind;
       
-      if (this.currentIndex < this.words.length) {
-        this.scheduleNextWord();
+      if (entry.kind === 'heading') {
+        entry.hold = isEnd ? this.structureHolds.headingEnd : this.structureHolds.heading;
+      } else if (entry.kind === 'listItem' && isEnd) {
+        entry.hold = this.structureHolds.listItemEnd;
+      } else if (entry.kind === 'marker') {
+        entry.hold = this.structureHolds.marker;
       }
-    }, delay);
+    });
   }
 
   /**
-   * Pause the RSVP
+   * Tokenize the text inside a DOM range into word entries, each carrying
+   * a Range over its source characters. Block elements start paragraphs.
    */
-  pause() {
-    if (!this.isPlaying) return;
+  tokenizeRange(range) {
+    const entries = [];
+    const root = range.commonAncestorContainer.nodeType === Node.TEXT_NODE
+      ? range.commonAncestorContainer.parentElement
+      : range.commonAncestorContainer;
     
-    this.isPlaying = false;
-    if (this.intervalId) {
-      clearTimeout(this.intervalId);
-      this.intervalId = null;
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+      acceptNode: (node) => {
+        if (!range.intersectsNode(node) || !node.data.trim()) {
+          return NodeFilter.FILTER_REJECT;
+        }
+        return this.isReadableTextNode(node) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_REJECT;
+      }
+    });
+    
+    let lastBlock = null;
+    let lastListItem = null;
+    let lastRow = null;
+    let previous = null;  // { node, end } of the last word, for joining split words
+    let textNode;
+    
+    while ((textNode = walker.nextNode())) {
+      const parent = textNode.parentElement;
+      
+      // Code blocks are read as one entry, or skipped
+      const pre = parent.closest('pre');
+      if (pre) {
+        if (pre !== lastBlock && this.settings.codeBlocks !== 'skip') {
+          entries.push(this.createCodeEntry(pre));
+        }
+        lastBlock = pre;
+        previous = null;
+        continue;
+      }
+      
+      const from = textNode === range.startContainer ? range.startOffset : 0;
+      const to = textNode === range.endContainer ? range.endOffset : textNode.data.length;
+      const text = textNode.data.slice(from, to);
+      const block = this.getBlockAncestor(textNode);
+      const newBlock = block !== lastBlock;
+      lastBlock = block;
+      const lang = parent.closest('[lang]')?.lang;
+      
+      const listItem = parent.closest('li');
+      const kind = parent.closest('h1, h2, h3, h4, h5, h6') ? 'heading' : (listItem ? 'listItem' : undefined);
+      
+      // Table rows start with a "Row N:" marker; their cells run on after it
+      const row = parent.closest('tr');
+      if (row && row !== lastRow && text.trim()) {
+        entries.push(this.createRowMarker(row.rowIndex + 1));
+      }
+      lastRow = row;
+      
+      this.segmenter.segment(text, lang).forEach((word, i) => {
+        const wordStart = from + word.start;
+        const wordEnd = from + word.end;
+        
+        // Text directly continuing the previous node: a word split across
+        // inline elements (e.g. "<b>Hel</b>lo") is joined back together,
+        // except in scripts without spaces where the segmenter decides
+        const adjoins = !newBlock && previous && word.start === 0 && from === 0 &&
+          previous.end === previous.node.data.length;
+        const continues = adjoins && !this.segmenter.spacelessPattern.test(word.text.charAt(0));
+        
+        if (continues) {
+          const entry = entries[entries.length - 1];
+          entry.text += word.text;
+          entry.range.setEnd(textNode, wordEnd);
+        } else {
+          const wordRange = document.createRange();
+          wordRange.setStart(textNode, wordStart);
+          wordRange.setEnd(textNode, wordEnd);
+          
+          // The first word of each list item gets a bullet
+          const bullet = kind === 'listItem' && listItem !== lastListItem;
+          if (bullet) {
+            lastListItem = listItem;
+          }
+          
+          entries.push({
+            text: bullet ? `•\u00a0${word.text}` : word.text,
+            range: wordRange,
+            paragraphStart: entries.length === 0 || (newBlock && i === 0 && !row),
+            spaced: word.spaced && !adjoins,
+            kind
+          });
+        }
+        
+        previous = { node: textNode, end: wordEnd };
+      });
     }
-    this.updatePlayPauseButton();
+    
+    this.markStructureHolds(entries);
+    return entries;
   }
 
   /**
-   * Toggle play/pause
+   * Entry showing a whole code block, linked to the block's contents
    */
-  togglePlay() {
-    if (this.isPlaying) {
-      this.pause();
-    } else {
-      this.play();
-    }
+  createCodeEntry(pre) {
+    const range = document.createRange();
+    range.selectNodeContents(pre);
+    return {
+      text: pre.textContent.replace(/^\n+|\s+$/g, ''),
+      range,
+      paragraphStart: true,
+      kind: 'code'
+    };
   }
 
   /**
-   * Update play/pause button text
+   * Check whether a text node is visible page content worth reading
    */
-  updatePlayPauseButton() {
-    if (this.playPauseBtn) {
-      this.playPauseBtn.textContent = this.isPlaying ? '⏸ Pause' : '▶ Play';
-    }
+  isReadableTextNode(node) {
+    const parent = node.parentElement;
+    if (!parent) return false;
+    if (this.skipTags.has(parent.tagName)) return false;
+    if (parent.closest('[aria-hidden="true"]')) return false;
+    if (parent.checkVisibility && !parent.checkVisibility()) return false;
+    return true;
   }
 
   /**
-   * Adjust speed
+   * Find the nearest block-level ancestor
    */
-  adjustSpeed(delta) {
-    this.settings.wpm = Math.max(50, Math.min(1000, this.settings.wpm + delta));
-    this.updateSpeedDisplay();
+  getBlockAncestor(node) {
+    let current = node.nodeType === Node.TEXT_NODE ? node.parentElement : node;
     
-    // If playing, restart with new speed
-    if (this.isPlaying) {
-      this.pause();
-      this.play();
+    while (current && current !== document.body) {
+      if (this.blockTags.has(current.tagName)) {
+        return current;
+      }
+      current = current.parentElement;
     }
+    
+    return document.body;
   }
 
   /**
-   * Complete the RSVP session
+   * Group word entries into display tokens (chunks never cross paragraphs)
+   * and index paragraph / sentence boundaries
    */
-  complete() {
-    this.pause();
-    this.wordDisplay.textContent = '✓ Complete!';
+  load(entries) {
+    this.words = [];
+    this.ranges = [];
+    this.paragraphStarts = [];
+    this.tokenWordStarts = [];
+    this.tokenSpaced = [];
+    this.tokenKinds = [];
+    this.tokenHolds = [];
+    this.currentIndex = 0;
+    this.warmupStart = 0;
+    this.flowWindow = null;
+    this.flowCurrent = null;
     
-    // Update stats
-    if (typeof storage !== 'undefined') {
+    const chunks = this.settings.chunking === 'phrase'
+      ? this.chunker.chunk(entries, this.settings.maxChunkWidth)
+      : this.chunkFixed(entries);
+    
+    let wordCount = 0;
+    for (const chunk of chunks) {
+      if (chunk[0].paragraphStart) {
+        this.paragraphStarts.push(this.words.length);
+      }
+      this.tokenWordStarts.push(wordCount);
+      this.tokenSpaced.push(chunk[0].spaced !== false);
+      this.tokenKinds.push(chunk[0].kind || 'text');
+      this.tokenHolds.push(Math.max(...chunk.map(entry => entry.hold || 1)));
+      wordCount += chunk.length;
+      this.words.push(chunk.map((entry, i) => (i > 0 && entry.spaced !== false ? ' ' : '') + entry.text).join(''));
+      this.ranges.push(this.spanRanges(chunk[0].range, chunk[chunk.length - 1].range));
+    }
+    this.totalWords = wordCount;
+    
+    this.sentenceStarts = this.findSentenceStarts(this.words);
+    this.computeWeights();
+  }
+
+  /**
+   * Group entries into chunks of chunkSize words, starting a new chunk
+   * at each paragraph
+   */
+  chunkFixed(entries) {
+    const chunkSize = this.settings.chunkSize > 1 ? this.settings.chunkSize : 1;
+    const chunks = [];
+    let chunk = [];
+    
+    for (const entry of entries) {
+      if (chunk.length > 0 &&
+          (entry.paragraphStart || chunk.length >= chunkSize || entry.kind !== chunk[0].kind)) {
+        chunks.push(chunk);
+        chunk = [];
+      }
+      chunk.push(entry);
+    }
+    if (chunk.length > 0) {
+      chunks.push(chunk);
+    }
+    
+    return chunks;
+  }
+
+  /**
+   * Precompute per-token delays for the smart timing model
+   */
+  computeWeights() {
+    if (this.settings.timingModel !== 'smart') {
+      this.weights = [];
+      return;
+    }
+    
+    // Code blocks get their own hold (see getCodeHold), so they don't
+    // count as one enormous word
+    const tokens = this.words.map((word, i) => this.tokenKinds[i] === 'code' ? '' : word);
+    this.weights = this.timing.computeWeights(tokens, {
+      paragraphStarts: this.paragraphStarts,
+      pauseOnPunctuation: this.settings.pauseOnPunctuation,
+      holds: this.tokenHolds,
+      warmupFrom: this.warmupStart,
+      warmupWords: this.settings.warmupWords
+    });
+  }
+
+  /**
+   * Ramp the warm-up from the token playback starts at, for sessions
+   * that pick up part-way through
+   */
+  startWarmupAt(index) {
+    this.warmupStart = index;
+    this.computeWeights();
+  }
+
+  /**
+   * Build a range from the start of one range to the end of another
+   */
+  spanRanges(first, last) {
+    if (!first || !last) return null;
+    if (first === last) return first;
+    
+    const range = document.createRange();
+    range.setStart(first.startContainer, first.startOffset);
+    range.setEnd(last.endContainer, last.endOffset);
+    return range;
+  }
+
+  /**
+   * Find the token indexes where sentences begin
+   */
+  findSentenceStarts(words) {
+    const starts = [];
+    const paragraphStarts = new Set(this.paragraphStarts);
+    
+    words.forEach((word, index) => {
+      const previous = words[index - 1];
+      if (index === 0 || paragraphStarts.has(index) || /[.!?]['"”’)\]]*$/.test(previous)) {
+        starts.push(index);
+      }
+    });
+    
+    return starts;
+  }
+
+  /**
+   * Show the current word
+   */
+  showCurrentWord() {
+    if (this.currentIndex >= this.words.length) {
+      this.complete();
+      return;
+    }
+    
+    if (this.displayMode === 'flow') {
+      this.renderFlow();
+    } else {
+      this.renderWord(this.words[this.currentIndex], this.tokenKinds[this.currentIndex]);
+    }
+    
+    // Update progress
+    const progress = ((this.currentIndex + 1) / this.words.length) * 100;
+    this.progressBar.style.width = `${progress}%`;
+    
+    if (!this.isPlaying) {
+      this.showContext();
+    }
+  }
+
+  /**
+   * Show the paragraph around the current word in the context panel while
+   * paused, with the current word marked; clicking a word resumes from it
+   */
+  showContext() {
+    if (!this.contextDisplay || this.words.length === 0) return;
+    
+    // The flow display already shows the surrounding text
+    if (this.displayMode === 'flow') return;
+    
+    const { start, end } = this.getContextRange(this.currentIndex);
+    const fragment = document.createDocumentFragment();
+    let currentSpan = null;
+    
+    if (start > 0) {
+      fragment.appendChild(document.createTextNode('… '));
+    }
+    
+    for (let i = start; i < end; i++) {
+      const span = document.createElement('span');
+      span.dataset.index = i;
+      span.textContent = this.words[i];
+      span.style.cursor = 'pointer';
+      span.style.borderRadius = '3px';
+      
+      if (i === this.currentIndex) {
+        span.style.color = 'var(--rsvp-text)';
+        span.style.background = 'color-mix(in srgb, var(--rsvp-accent) 35%, transparent)';
+        currentSpan = span;
+      }
+      
+      if (i > start && this.tokenSpaced[i] !== false) {
+        fragment.appendChild(document.createTextNode(' '));
+      }
+      fragment.appendChild(span);
+    }
+    
+    if (end < this.words.length) {
+      fragment.appendChild(document.createTextNode(' …'));
+    }
+    
+    this.contextDisplay.replaceChildren(fragment);
+    this.contextDisplay.style.display = 'block';
+    
+    if (currentSpan) {
+      currentSpan.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Get the token range to show around an index: its paragraph, or for very
+   * long paragraphs its sentence plus one sentence either side
+   */
+  getContextRange(index) {
+    const maxTokens = 150;
+    let { start, end } = this.getUnitRange(this.paragraphStarts, index);
+    
+    if (end - start > maxTokens) {
+      const sentence = this.sentenceStarts.filter(s => s <= index).length - 1;
+      const from = this.sentenceStarts[Math.max(0, sentence - 1)] ?? 0;
+      const to = this.sentenceStarts[sentence + 2] ?? this.words.length;
+      start = Math.max(start, from);
+      end = Math.min(end, to);
+    }
+    
+    // A single run-on sentence: clamp to a window around the word
+    if (end - start > maxTokens) {
+      start = Math.max(start, index - maxTokens / 2);
+      end = Math.min(end, index + maxTokens / 2);
+    }
+    
+    return { start, end };
+  }
+
+  /**
+   * Get the [start, end) token range of the unit (paragraph/sentence)
+   * containing an index
+   */
+  getUnitRange(starts, index) {
+    let start = 0;
+    let end = this.words.length;
+    
+    for (const boundary of starts) {
+      if (boundary <= index) {
+        start = boundary;
+      } else {
+        end = boundary;
+        break;
+      }
+    }
+    
+    return { start, end };
+  }
+
+  /**
+   * Resume playback from a word clicked in the context panel
+   */
+  handleContextClick(e) {
+    const index = e.target?.dataset?.index;
+    if (index === undefined) return;
+    
+    this.seekTo(parseInt(index, 10));
+    this.play();
+  }
+
+  /**
+   * Hide the context panel
+   */
+  hideContext() {
+    if (!this.contextDisplay) return;
+    this.contextDisplay.style.display = 'none';
+  }
+
+  /**
+   * Render a word, aligned on its pivot letter when ORP mode is on
+   */
+  renderWord(word, kind = 'text') {
+    if (kind === 'code') {
+      this.renderCode(word);
+      return;
+    }
+    
+    this.showView('word');
+    this.setWordStyle(kind);
+    
+    if (!this.settings.orpAlignment) {
+      this.wordDisplay.textContent = word;
+      return;
+    }
+    
+    const pivot = this.getPivotIndex(word);
+    
+    // Equal-width halves on either side keep the pivot at a fixed column
+    const before = document.createElement('span');
+    before.style.cssText = 'flex: 1 1 0; text-align: right; white-space: pre; overflow: hidden;';
+    before.textContent = word.slice(0, pivot);
+    
+    const pivotLetter = document.createElement('span');
+    pivotLetter.style.color = this.settings.pivotColor;
+    pivotLetter.textContent = word.charAt(pivot);
+    
+    const after = document.createElement('span');
+    after.style.cssText = 'flex: 1 1 0; text-align: left; white-space: pre; overflow: hidden;';
+    after.textContent = word.slice(pivot + 1);
+    
+    this.wordDisplay.replaceChildren(before, pivotLetter, after);
+  }
+
+  /**
+   * Show a whole code block, preformatted and scrollable
+   */
+  renderCode(text) {
+    this.showView('word');
+    this.setWordStyle('code');
+    
+    const pre = document.createElement('pre');
+    pre.style.cssText = `
+      margin: 0;
+      max-width: 100%;
+      max-height: 40vh;
+      overflow: auto;
+      padding: 12px 16px;
+      border-radius: 8px;
+      background: var(--rsvp-track);
+      font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+      font-size: 14px;
+      font-weight: normal;
+      line-height: 1.5;
+      text-align: left;
+      white-space: pre;
+    `;
+    pre.textContent = text;
+    this.wordDisplay.replaceChildren(pre);
+  }
+
+  /**
+   * Headings are shown larger and bold; everything else at the normal size
+   */
+  setWordStyle(kind) {
+    const heading = kind === 'heading';
+    this.wordDisplay.style.fontSize = `${heading ? Math.round(this.settings.fontSize * 1.4) : this.settings.fontSize}px`;
+    this.wordDisplay.style.fontWeight = heading ? 'bold' : 'var(--rsvp-font-weight)';
+  }
+
+  /**
+   * Show plain centered text in the word display
+   */
+  showMessage(text) {
+    this.showView('word');
+    this.setWordStyle('text');
+    this.wordDisplay.textContent = text;
+  }
+
+  /**
+   * Show either the single-word display or the flow display
+   */
+  showView(view) {
+    this.wordDisplay.style.display = view === 'word' ? 'flex' : 'none';
+    this.flowDisplay.style.display = view === 'flow' ? 'block' : 'none';
+  }
+
+  /**
+   * Highlight the current token in the flow display, rebuilding the
+   * visible text when playback leaves it
+   */
+  renderFlow() {
+    this.showView('flow');
+    
+    const index = this.currentIndex;
+    if (!this.flowWindow || index < this.flowWindow.start || index >= this.flowWindow.end) {
+      this.buildFlowWindow(index);
+    }
+    
+    if (this.flowCurrent) {
+      this.flowCurrent.style.color = '';
+      this.flowCurrent.style.background = '';
+    }
+    
+    const span = this.flowWindow.spans[index - this.flowWindow.start];
+    span.style.color = 'var(--rsvp-text)';
+    span.style.background = 'color-mix(in srgb, var(--rsvp-accent) 35%, transparent)';
+    this.flowCurrent = span;
+    
+    // Keep the current line in the upper part of the view
+    this.flowDisplay.scrollTop = Math.max(0, span.offsetTop - this.flowDisplay.clientHeight / 3);
+  }
+
+  /**
+   * Render a window of tokens starting at the paragraph containing an
+   * index, one block per paragraph
+   */
+  buildFlowWindow(index) {
+    const maxTokens = 400;
+    const { start: paragraphStart } = this.getUnitRange(this.paragraphStarts, index);
+    const start = Math.max(paragraphStart, index - maxTokens / 4);
+    const end = Math.min(this.words.length, start + maxTokens);
+    const paragraphStarts = new Set(this.paragraphStarts);
+    
+    const fragment = document.createDocumentFragment();
+    const spans = [];
+    let block = null;
+    
+    for (let i = start; i < end; i++) {
+      if (!block || paragraphStarts.has(i)) {
+        block = document.createElement('div');
+        block.style.marginBottom = '0.6em';
+        fragment.appendChild(block);
+      }
+      
+      const span = document.createElement('span');
+      span.dataset.index = i;
+      span.textContent = this.words[i];
+      span.style.cursor = 'pointer';
+      span.style.borderRadius = '3px';
+      if (this.tokenKinds[i] === 'heading') {
+        span.style.fontWeight = 'bold';
+      } else if (this.tokenKinds[i] === 'code') {
+        span.style.cssText += 'display: block; white-space: pre; overflow-x: auto; font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.75em;';
+      }
+      if (block.hasChildNodes() && this.tokenSpaced[i] !== false) {
+        block.appendChild(document.createTextNode(' '));
+      }
+      block.appendChild(span);
+      spans.push(span);
+    }
+    
+    this.flowDisplay.replaceChildren(fragment);
+    this.flowDisplay.scrollTop = 0;
+    this.flowWindow = { start, end, spans };
+    this.flowCurrent = null;
+  }
+
+  /**
+   * Find the Optimal Recognition Point: the letter the eye should fixate,
+   * slightly left of center. Leading punctuation is skipped.
+   */
+  getPivotIndex(word) {
+    const leading = word.match(/^[^\p{L}\p{N}]*/u)[0].length;
+    const core = word.slice(leading).replace(/[^\p{L}\p{N}]+$/u, '');
+    const length = core.length;
+    
+    let pivot;
+    if (length <= 1) {
+      pivot = 0;
+    } else if (length <= 5) {
+      pivot = 1;
+    } else if (length <= 9) {
+      pivot = 2;
+    } else if (length <= 13) {
+      pivot = 3;
+    } else {
+      pivot = Math.round(length * 0.3);
+    }
+    
+    return Math.min(leading + pivot, Math.max(0, word.length - 1));
+  }
+
+  /**
+   * Calculate delay for current word
+   */
+  getDelay() {
+    const baseDelay = (60 / this.settings.wpm) * 1000;
+    
+    if (this.tokenKinds[this.currentIndex] === 'code') {
+      return this.getCodeHold(this.words[this.currentIndex]);
+    }
+    
+    // Smart timing: weights already average to one word at the target WPM
+    if (this.weights.length === this.words.length && this.currentIndex < this.weights.length) {
+      return baseDelay * this.weights[this.currentIndex];
+    }
+    
+    // Classic timing: fixed punctuation multipliers
+    const hold = this.tokenHolds[this.currentIndex] || 1;
+    if (this.settings.pauseOnPunctuation && this.currentIndex < this.words.length) {
+      const word = this.words[this.currentIndex];
+      // Pause longer on sentence-ending punctuation
+      if (/[.!?]$/.test(word)) {
+        return baseDelay * 2 * hold;
+      }
+      // Slight pause on commas, semicolons
+      if (/[,;:]$/.test(word)) {
+        return baseDelay * 1.5 * hold;
+      }
+    }
+    
+    return baseDelay * hold;
+  }
+
+  /**
+   * How long a code block stays on screen, based on its line count
+   */
+  getCodeHold(text) {
+    const lines = text.split('\n').length;
+    return Math.min(this.maxCodeHold, Math.max(this.minCodeHold, lines * this.codeHoldPerLine));
+  }
+
+  /**
+   * Play the RSVP
+   */
+  play() {
+    if (this.isPlaying) return;
+    
+    // Replay the final word instead of completing immediately
+    if (this.currentIndex >= this.words.length) {
+      this.currentIndex = Math.max(0, this.words.length - 1);
+    }
+    
+    this.isPlaying = true;
+    this.hideContext();
+    this.updatePlayPauseButton();
+    this.scheduleNextWord();
+  }
+
+  /**
+   * Schedule the next word
+   */
+  scheduleNextWord() {
+    if (!this.isPlaying) return;
+    
+    if (this.isReadingAloud()) {
+      this.speakFrom(this.currentIndex);
+      return;
+    }
+    
+    const delay = this.getDelay();
+    
+    this.intervalId = setTimeout(() => {
+      this.currentIndex++;
+      this.showCurrentWord();
+      
+      if (this.currentIndex < this.words.length) {
+        this.scheduleNextWord();
+      }
+    }, delay);
+  }
+
+  /**
+   * Whether playback is driven by speech rather than the timer. Speech
+   * is blocked until the user has interacted with the page, so until then
+   * the timer drives playback.
+   */
+  isReadingAloud() {
+    return this.settings.readAloud && this.speech.isSupported() &&
+      (navigator.userActivation?.hasBeenActive ?? true);
+  }
+
+  /**
+   * Speak from a token to the end of its sentence, following the speech
+   * with the display. Code blocks are not spoken; they are shown for
+   * their usual hold instead.
+   */
+  speakFrom(index) {
+    if (!this.isPlaying) return;
+    
+    if (this.tokenKinds[index] === 'code') {
+      this.intervalId = setTimeout(() => this.continueSpeech(index + 1), this.getCodeHold(this.words[index]));
+      return;
+    }
+    
+    let end = this.sentenceStarts.find(start => start > index) ?? this.words.length;
+    const code = this.tokenKinds.indexOf('code', index);
+    if (code !== -1 && code < end) {
+      end = code;
+    }
+    
+    const tokens = [];
+    for (let i = index; i < end; i++) {
+      tokens.push({
+        text: this.words[i].replace(/^•\u00a0/, ''),
+        spaced: this.tokenSpaced[i]
+      });
+    }
+    
+    // Many voices (Chrome's network voices among them) send no word
+    // boundaries, so the display follows the timing model, scaled to the
+    // speaking rate, until the first boundary arrives
+    const rate = this.speech.speak(tokens, {
+      wpm: this.settings.wpm,
+      voiceURI: this.settings.speechVoice,
+      lang: this.settings.speechLang || document.documentElement.lang || navigator.language
+    }, {
+      onStart: () => this.followSpeech(end, this.settings.wpm / (rate * this.speech.wpmAtRateOne)),
+      onWord: (offset) => {
+        this.stopFollowingSpeech();
+        if (index + offset !== this.currentIndex) {
+          this.currentIndex = index + offset;
+          this.showCurrentWord();
+        }
+      },
+      onEnd: () => {
+        this.stopFollowingSpeech();
+        this.continueSpeech(end);
+      }
+    });
+  }
+
+  /**
+   * Step through the tokens being spoken on the timing model's delays
+   * (scaled from the target WPM to the voice's speaking rate), stopping
+   * on the span's last token until the speech ends
+   */
+  followSpeech(end, scale) {
+    if (!this.isPlaying || this.currentIndex + 1 >= end) return;
+    
+    this.speechFollowId = setTimeout(() => {
+      this.currentIndex++;
+      this.showCurrentWord();
+      this.followSpeech(end, scale);
+    }, this.getDelay() * scale);
+  }
+
+  /**
+   * Stop following speech on the timer (a word boundary arrived, or the
+   * speech ended or was cancelled)
+   */
+  stopFollowingSpeech() {
+    if (this.speechFollowId) {
+      clearTimeout(this.speechFollowId);
+      this.speechFollowId = null;
+    }
+  }
+
+  /**
+   * Move on to the next span of speech once one has finished
+   */
+  continueSpeech(index) {
+    if (!this.isPlaying) return;
+    
+    this.currentIndex = index;
+    this.showCurrentWord();
+    
+    if (this.currentIndex < this.words.length) {
+      this.speakFrom(this.currentIndex);
+    }
+  }
+
+  /**
+   * Stop the pending timer or speech before rescheduling
+   */
+  cancelScheduled() {
+    if (this.intervalId) {
+      clearTimeout(this.intervalId);
+      this.intervalId = null;
+    }
+    this.stopFollowingSpeech();
+    this.speech.cancel();
+  }
+
+  /**
+   * Pause the RSVP
+   */
+  pause() {
+    if (!this.isPlaying) return;
+    
+    this.isPlaying = false;
+    this.cancelScheduled();
+    this.updatePlayPauseButton();
+    this.saveSession();
+    
+    if (this.currentIndex < this.words.length && !this.isScrubbing) {
+      this.showContext();
+      this.revealSourcePosition(false);
+    }
+  }
+
+  /**
+   * Toggle play/pause
+   */
+  togglePlay() {
+    if (this.quiz) return;
+    
+    // Space on the resume prompt picks the default action
+    if (this.resumeOffer) {
+      this.acceptResume();
+      return;
+    }
+    
+    if (this.isPlaying) {
+      this.sessionPauses++;
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  /**
+   * Update play/pause button text
+   */
+  updatePlayPauseButton() {
+    if (this.playPauseBtn) {
+      this.playPauseBtn.textContent = this.isPlaying ? '⏸ Pause' : '▶ Play';
+    }
+  }
+
+  /**
+   * Jump to a token index, keeping playback state. Backward jumps count as
+   * rewinds for the speed trainer unless countRewind is false (scrubbing
+   * counts once per drag, and restarting doesn't count).
+   */
+  seekTo(index, countRewind = true) {
+    if (this.words.length === 0 || this.quiz) return;
+    
+    const target = Math.max(0, Math.min(this.words.length - 1, index));
+    if (countRewind && target < this.currentIndex) {
+      this.sessionRewinds++;
+    }
+    this.currentIndex = target;
+    
+    if (this.isPlaying) {
+      this.cancelScheduled();
+      this.showCurrentWord();
+      this.scheduleNextWord();
+    } else {
+      this.showCurrentWord();
+    }
+  }
+
+  /**
+   * Step forward or back by a number of words
+   */
+  seekWord(delta) {
+    this.seekTo(this.currentIndex + delta);
+  }
+
+  /**
+   * Step to the previous / next sentence
+   */
+  seekSentence(direction) {
+    this.seekBoundary(this.sentenceStarts, direction);
+  }
+
+  /**
+   * Step to the previous / next paragraph
+   */
+  seekParagraph(direction) {
+    this.seekBoundary(this.paragraphStarts, direction);
+  }
+
+  /**
+   * Seek along a sorted list of boundary indexes.
+   * Going back first returns to the start of the current unit, like a
+   * media player's "previous track".
+   */
+  seekBoundary(starts, direction) {
+    if (starts.length === 0) return;
+    
+    if (direction > 0) {
+      const next = starts.find(start => start > this.currentIndex);
+      if (next !== undefined) {
+        this.seekTo(next);
+      }
+      return;
+    }
+    
+    // Index of the unit containing the current word
+    let unit = 0;
+    for (let i = 0; i < starts.length; i++) {
+      if (starts[i] <= this.currentIndex) unit = i;
+    }
+    
+    // Already at (or one word into) its start: go to the previous unit
+    const target = this.currentIndex - starts[unit] <= 1 ? Math.max(0, unit - 1) : unit;
+    this.seekTo(starts[target]);
+  }
+
+  /**
+   * Map a pointer X position on the scrubber to a token index
+   */
+  getScrubIndex(clientX) {
+    const rect = this.scrubber.getBoundingClientRect();
+    const ratio = Math.max(0, Math.min(1, (clientX - rect.left) / rect.width));
+    return Math.round(ratio * (this.words.length - 1));
+  }
+
+  /**
+   * Begin scrubbing: pause and jump to the pointer position
+   */
+  handleScrubStart(e) {
+    if (this.words.length === 0) return;
+    
+    e.preventDefault();
+    this.isScrubbing = true;
+    this.resumeAfterScrub = this.isPlaying;
+    this.scrubStartIndex = this.currentIndex;
+    this.pause();
+    this.progressBar.style.transition = 'none';
+    this.scrubber.setPointerCapture(e.pointerId);
+    this.scrubber.addEventListener('pointermove', this.handleScrubMove);
+    this.scrubber.addEventListener('pointerup', this.handleScrubEnd);
+    this.scrubber.addEventListener('pointercancel', this.handleScrubEnd);
+    
+    this.seekTo(this.getScrubIndex(e.clientX), false);
+  }
+
+  /**
+   * Follow the pointer while dragging
+   */
+  handleScrubMove(e) {
+    if (!this.isScrubbing) return;
+    this.seekTo(this.getScrubIndex(e.clientX), false);
+  }
+
+  /**
+   * Finish scrubbing and resume if we were playing before
+   */
+  handleScrubEnd(e) {
+    if (!this.isScrubbing) return;
+    
+    this.isScrubbing = false;
+    this.progressBar.style.transition = 'width 0.1s linear';
+    this.scrubber.releasePointerCapture(e.pointerId);
+    this.scrubber.removeEventListener('pointermove', this.handleScrubMove);
+    this.scrubber.removeEventListener('pointerup', this.handleScrubEnd);
+    this.scrubber.removeEventListener('pointercancel', this.handleScrubEnd);
+    
+    // One drag is one rewind, however often it moved backwards
+    if (this.currentIndex < this.scrubStartIndex) {
+      this.sessionRewinds++;
+    }
+    
+    if (this.resumeAfterScrub) {
+      this.play();
+    } else {
+      this.showContext();
+    }
+  }
+
+  /**
+   * Adjust speed
+   */
+  adjustSpeed(delta) {
+    this.settings.wpm = Math.max(50, Math.min(1000, this.settings.wpm + delta));
+    this.updateSpeedDisplay();
+    
+    // If playing, reschedule the next word with the new speed
+    // (speech restarts from the current word at the new rate)
+    if (this.isPlaying) {
+      this.cancelScheduled();
+      this.scheduleNextWord();
+    }
+  }
+
+  /**
+   * Complete the RSVP session
+   */
+  complete() {
+    this.completed = true;
+    this.pause();
+    
+    // Update stats
+    if (typeof storage !== 'undefined') {
       this.updateStats();
     }
     
@@ -390,6 +1812,17 @@ class RSVPPlayer {
       this.onComplete(this.words.length);
     }
     
+    const questions = this.settings.comprehensionCheck
+      ? this.quizGenerator.generate(this.getSentences(), this.settings.quizQuestions)
+      : [];
+    if (questions.length > 0) {
+      this.startQuiz(questions);
+      return;
+    }
+    
+    this.showMessage('✓ Complete!');
+    this.recordSession(null, 0);
+    
     // Auto close after delay
     setTimeout(() => {
       this.exit();
@@ -397,31 +1830,236 @@ class RSVPPlayer {
   }
 
   /**
-   * Update reading stats
+   * Get the loaded text as a list of sentences
    */
-  async updateStats() {
-    try {
-      const result = await chrome.storage.local.get(['settings']);
-      const settings = result.settings || {};
-      
-      if (!settings.stats) {
-        settings.stats = {
-          totalWordsRead: 0,
-          sessionsCompleted: 0,
-          averageWpm: 0
-        };
+  getSentences() {
+    return this.sentenceStarts.map((start, i) => {
+      const end = this.sentenceStarts[i + 1] ?? this.words.length;
+      let sentence = '';
+      for (let j = start; j < end; j++) {
+        // Code blocks and row markers don't make quiz material
+        if (this.tokenKinds[j] === 'code' || this.tokenKinds[j] === 'marker') continue;
+        sentence += (sentence && this.tokenSpaced[j] !== false ? ' ' : '') + this.words[j];
+      }
+      return sentence;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Replace the reader with the comprehension check
+   */
+  startQuiz(questions) {
+    this.quiz = { questions, index: 0, score: 0, answered: false, timer: null };
+    this.setQuizLayout(true);
+    this.showQuizQuestion();
+  }
+
+  /**
+   * Show or hide the reading controls around the quiz panel
+   */
+  setQuizLayout(active) {
+    this.wordFrame.style.display = active ? 'none' : 'block';
+    this.scrubber.style.display = active ? 'none' : 'block';
+    this.controlsContainer.style.display = active ? 'none' : 'flex';
+    this.speedDisplay.style.display = active ? 'none' : 'block';
+    this.quizPanel.style.display = active ? 'flex' : 'none';
+    if (active) {
+      this.hideContext();
+    }
+  }
+
+  /**
+   * Render the current quiz question with one button per choice
+   */
+  showQuizQuestion() {
+    const { questions, index } = this.quiz;
+    const question = questions[index];
+    this.quiz.answered = false;
+    
+    const progress = document.createElement('div');
+    progress.style.cssText = 'color: var(--rsvp-muted); font-size: 13px;';
+    progress.textContent = `Comprehension check · ${index + 1} of ${questions.length}`;
+    
+    const prompt = document.createElement('div');
+    prompt.style.fontWeight = '600';
+    prompt.textContent = question.prompt;
+    
+    const children = [progress, prompt];
+    
+    if (question.sentence) {
+      const sentence = document.createElement('div');
+      sentence.style.cssText = 'font-style: italic; color: var(--rsvp-muted);';
+      sentence.textContent = question.sentence;
+      children.push(sentence);
+    }
+    
+    const choices = document.createElement('div');
+    choices.style.cssText = 'display: flex; flex-direction: column; gap: 8px;';
+    question.choices.forEach((choice, i) => {
+      const button = this.createButton(choice, () => this.answerQuiz(i));
+      button.style.textAlign = 'left';
+      button.style.lineHeight = '1.4';
+      choices.appendChild(button);
+    });
+    children.push(choices);
+    
+    this.quizPanel.replaceChildren(...children);
+    choices.firstChild.focus();
+  }
+
+  /**
+   * Mark an answer, then move on to the next question
+   */
+  answerQuiz(choice) {
+    if (!this.quiz || this.quiz.answered) return;
+    
+    const question = this.quiz.questions[this.quiz.index];
+    const buttons = this.quizPanel.querySelectorAll('button');
+    this.quiz.answered = true;
+    
+    if (choice === question.answer) {
+      this.quiz.score++;
+    } else {
+      buttons[choice].style.boxShadow = 'inset 0 0 0 2px #ef4444';
+    }
+    buttons[question.answer].style.boxShadow = 'inset 0 0 0 2px #22c55e';
+    
+    this.quiz.timer = setTimeout(() => {
+      this.quiz.index++;
+      if (this.quiz.index < this.quiz.questions.length) {
+        this.showQuizQuestion();
+      } else {
+        this.finishQuiz();
       }
+    }, 1000);
+  }
+
+  /**
+   * Show and record the quiz score
+   */
+  finishQuiz() {
+    const { score, questions } = this.quiz;
+    this.recordSession(score, questions.length);
+    
+    const summary = document.createElement('div');
+    summary.style.cssText = 'font-size: 20px; font-weight: 600; text-align: center;';
+    summary.textContent = `✓ Complete! ${score} of ${questions.length} correct at ${this.settings.wpm} WPM`;
+    
+    const doneButton = this.createButton('Done', () => this.exit());
+    doneButton.style.alignSelf = 'center';
+    
+    this.quizPanel.replaceChildren(summary, doneButton);
+    doneButton.focus();
+  }
+
+  /**
+   * Close the quiz and restore the reader layout
+   */
+  hideQuiz() {
+    if (!this.quiz) return;
+    
+    clearTimeout(this.quiz.timer);
+    this.quiz = null;
+    this.setQuizLayout(false);
+  }
+
+  /**
+   * Append a finished session to the reading history
+   * (quizScore is null when no comprehension check was taken)
+   */
+  async recordSession(quizScore, quizTotal) {
+    try {
+      const result = await chrome.storage.local.get(['rsvpHistory']);
+      const history = result.rsvpHistory || [];
       
-      settings.stats.totalWordsRead += this.words.length;
-      settings.stats.sessionsCompleted += 1;
-      settings.stats.lastSessionDate = new Date().toISOString();
+      history.push({
+        date: new Date().toISOString(),
+        words: this.totalWords,
+        wpm: this.getTargetWpm(),
+        pauses: this.sessionPauses,
+        rewinds: this.sessionRewinds,
+        quizScore,
+        quizTotal
+      });
       
-      await chrome.storage.local.set({ settings });
+      await chrome.storage.local.set({ rsvpHistory: history.slice(-this.maxHistory) });
+      await this.updateTraining(history);
+    } catch (e) {
+      console.error('Failed to record RSVP session:', e);
+    }
+  }
+
+  /**
+   * Suggest or apply a new target WPM from the training rules
+   */
+  async updateTraining(history) {
+    if (this.settings.trainingMode !== 'suggest' && this.settings.trainingMode !== 'auto') return;
+    
+    const result = evaluateTraining(history, { ...this.settings, wpm: this.getTargetWpm() });
+    if (!result.reason) return;
+    
+    const direction = result.nextWpm > result.wpm ? 'up' : 'down';
+    
+    if (this.settings.trainingMode === 'auto') {
+      await this.updateStoredSettings(settings => {
+        settings.rsvp = { ...settings.rsvp, wpm: result.nextWpm };
+      });
+      toast.show(`Training: speed ${direction} to ${result.nextWpm} WPM`, '🎯', 3000);
+    } else {
+      toast.show(`Training: ready to go ${direction} to ${result.nextWpm} WPM (apply it in the popup)`, '🎯', 3000);
+    }
+  }
+
+  /**
+   * Update reading stats
+   */
+  async updateStats() {
+    const wordsRead = this.words.length;
+    
+    try {
+      await this.updateStoredSettings(settings => {
+        if (!settings.stats) {
+          settings.stats = {
+            totalWordsRead: 0,
+            sessionsCompleted: 0,
+            averageWpm: 0
+          };
+        }
+        
+        settings.stats.totalWordsRead += wordsRead;
+        settings.stats.sessionsCompleted += 1;
+        settings.stats.lastSessionDate = new Date().toISOString();
+      });
     } catch (e) {
       console.error('Failed to update stats:', e);
     }
   }
 
+  /**
+   * Read, change and write back the stored settings. Changes are queued
+   * so the stats update and a training speed change made at the end of
+   * the same session cannot overwrite each other.
+   */
+  updateStoredSettings(edit) {
+    const update = this.settingsUpdate.then(async () => {
+      const result = await chrome.storage.local.get(['settings']);
+      const settings = result.settings || {};
+      edit(settings);
+      await chrome.storage.local.set({ settings });
+    });
+    
+    // A failed write must not block the ones queued after it
+    this.settingsUpdate = update.catch(() => {});
+    return update;
+  }
+
+  /**
+   * Target WPM the session counts toward in the history and training
+   */
+  getTargetWpm() {
+    return this.targetWpm ?? this.settings.wpm;
+  }
+
   /**
    * Exit RSVP mode
    */
@@ -432,6 +2070,20 @@ class RSVPPlayer {
       this.overlay.style.display = 'none';
     }
     
+    if (this.pipWindow) {
+      this.pipWindow.close();
+    }
+    
+    if (this.completed) {
+      this.clearSavedSession();
+    } else {
+      this.saveSession();
+    }
+    this.hideResumePrompt();
+    this.hideQuiz();
+    
+    this.revealSourcePosition(true);
+    
     // Reset context
     if (typeof keybindingManager !== 'undefined') {
       keybindingManager.setContext('default');
@@ -442,6 +2094,216 @@ class RSVPPlayer {
     }
   }
 
+  /**
+   * Hash the loaded words so a saved position is only offered for the
+   * same text (FNV-1a over the word stream)
+   */
+  hashEntries(entries) {
+    let hash = 0x811c9dc5;
+    for (const entry of entries) {
+      const text = `${entry.text} `;
+      for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+      }
+    }
+    return `${entries.length}:${(hash >>> 0).toString(16)}`;
+  }
+
+  /**
+   * Storage key for the current page (ignores the #fragment)
+   */
+  getPageKey() {
+    return `${location.origin}${location.pathname}${location.search}`;
+  }
+
+  /**
+   * Find a saved unfinished session for this page and text, and cache
+   * the saved sessions for later saves
+   */
+  async loadSavedSession() {
+    try {
+      const result = await chrome.storage.local.get(['rsvpSessions']);
+      this.savedSessions = result.rsvpSessions || {};
+      const page = this.savedSessions[this.getPageKey()];
+      const saved = page?.sessions?.[this.sessionHash];
+      if (!saved || saved.wordIndex <= 0) {
+        return null;
+      }
+      return saved;
+    } catch (e) {
+      console.error('Failed to load RSVP session:', e);
+      return null;
+    }
+  }
+
+  /**
+   * Save the current position so it can be resumed later. Written
+   * straight from the cached sessions, so it can finish while the page
+   * unloads.
+   */
+  async saveSession() {
+    if (!this.sessionHash || this.words.length === 0 || !this.savedSessions) return;
+    if (this.resumeOffer || this.completed) return;
+    
+    const wordIndex = this.getWordIndex();
+    if (wordIndex <= 0) return;
+    
+    try {
+      const sessions = this.savedSessions;
+      const key = this.getPageKey();
+      const page = sessions[key] || { sessions: {} };
+      
+      page.sessions[this.sessionHash] = {
+        wordIndex,
+        totalWords: this.totalWords,
+        wpm: this.settings.wpm,
+        savedAt: Date.now()
+      };
+      page.updatedAt = Date.now();
+      sessions[key] = page;
+      
+      this.pruneSessions(sessions);
+      await chrome.storage.local.set({ rsvpSessions: sessions });
+    } catch (e) {
+      console.error('Failed to save RSVP session:', e);
+    }
+  }
+
+  /**
+   * Forget the saved position for the current text (after finishing it)
+   */
+  async clearSavedSession() {
+    if (!this.sessionHash || !this.savedSessions) return;
+    
+    try {
+      const sessions = this.savedSessions;
+      const key = this.getPageKey();
+      const page = sessions[key];
+      if (!page?.sessions?.[this.sessionHash]) return;
+      
+      delete page.sessions[this.sessionHash];
+      if (Object.keys(page.sessions).length === 0) {
+        delete sessions[key];
+      }
+      await chrome.storage.local.set({ rsvpSessions: sessions });
+    } catch (e) {
+      console.error('Failed to clear RSVP session:', e);
+    }
+  }
+
+  /**
+   * Keep only the most recently used pages
+   */
+  pruneSessions(sessions) {
+    const keys = Object.keys(sessions);
+    if (keys.length <= this.maxSavedPages) return;
+    
+    keys
+      .sort((a, b) => (sessions[b].updatedAt || 0) - (sessions[a].updatedAt || 0))
+      .slice(this.maxSavedPages)
+      .forEach(key => delete sessions[key]);
+  }
+
+  /**
+   * Show the "Resume from N%" prompt
+   */
+  showResumePrompt(saved) {
+    const percent = Math.round((saved.wordIndex / saved.totalWords) * 100);
+    this.resumeOffer = saved;
+    this.resumeButton.textContent = `▶ Resume from ${percent}%`;
+    this.resumePrompt.style.display = 'flex';
+  }
+
+  /**
+   * Hide the resume prompt
+   */
+  hideResumePrompt() {
+    this.resumeOffer = null;
+    if (this.resumePrompt) {
+      this.resumePrompt.style.display = 'none';
+    }
+  }
+
+  /**
+   * Jump to the saved position and speed, then play
+   */
+  acceptResume() {
+    const saved = this.resumeOffer;
+    this.hideResumePrompt();
+    if (!saved) return;
+    
+    if (saved.wpm) {
+      this.settings.wpm = saved.wpm;
+      this.updateSpeedDisplay();
+    }
+    
+    this.seekTo(this.getTokenIndex(saved.wordIndex), false);
+    this.startWarmupAt(this.currentIndex);
+    this.play();
+  }
+
+  /**
+   * Last token starting at or before a word index (chunk size may differ
+   * from when the index was saved)
+   */
+  getTokenIndex(wordIndex) {
+    let index = 0;
+    while (index + 1 < this.tokenWordStarts.length && this.tokenWordStarts[index + 1] <= wordIndex) {
+      index++;
+    }
+    return index;
+  }
+
+  /**
+   * Index of the first word of the current token
+   */
+  getWordIndex() {
+    const index = Math.min(this.currentIndex, this.words.length - 1);
+    return this.tokenWordStarts[index] || 0;
+  }
+
+  /**
+   * Ignore the saved position and read from the start
+   */
+  declineResume() {
+    this.hideResumePrompt();
+    this.seekTo(0, false);
+    this.play();
+  }
+
+  /**
+   * Scroll the page to the source of the current token and highlight it.
+   * While paused the overlay still covers the page, so only scroll there;
+   * on exit, also mark the word until the next click.
+   */
+  revealSourcePosition(highlight) {
+    const index = Math.min(this.currentIndex, this.words.length - 1);
+    const range = this.ranges[index];
+    if (!range || !range.startContainer.isConnected) return;
+    
+    const element = range.startContainer.nodeType === Node.TEXT_NODE
+      ? range.startContainer.parentElement
+      : range.startContainer;
+    element?.scrollIntoView({ block: 'center', behavior: 'auto' });
+    
+    if (!highlight || typeof CSS === 'undefined' || !CSS.highlights) return;
+    
+    this.clearSourceHighlight();
+    CSS.highlights.set('prism-pacer-rsvp-position', new Highlight(range));
+    document.addEventListener('mousedown', this.clearSourceHighlight, { once: true, capture: true });
+  }
+
+  /**
+   * Remove the "stopped here" highlight
+   */
+  clearSourceHighlight() {
+    if (typeof CSS !== 'undefined' && CSS.highlights) {
+      CSS.highlights.delete('prism-pacer-rsvp-position');
+    }
+    document.removeEventListener('mousedown', this.clearSourceHighlight, { capture: true });
+  }
+
   /**
    * Check if RSVP is active
    */
@@ -454,6 +2316,11 @@ class RSVPPlayer {
    */
   destroy() {
     this.pause();
+    if (this.pipWindow) {
+      const pipWindow = this.pipWindow;
+      this.dock();
+      pipWindow.close();
+    }
     if (this.overlay) {
       this.overlay.remove();
       this.overlay = null;
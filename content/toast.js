@@ -40,7 +40,7 @@ class Toast {
       gap: 10px;
     `;
     
-    document.body.appendChild(this.container);
+    uiRoot.mount(this.container);
   }
 
   /**
@@ -0,0 +1,104 @@
+/**
+ * UI Root - Hosts every element Prism Pacer injects into a page
+ * inside a closed shadow root, so site CSS (resets, !important rules,
+ * font overrides) cannot reach our overlays and page scripts cannot
+ * query them
+ */
+
+class UIRoot {
+  constructor() {
+    this.host = null;
+    this.shadow = null;
+  }
+
+  /**
+   * Create the shadow host on first use
+   */
+  init() {
+    if (this.host) return;
+
+    this.host = document.createElement('prism-pacer-ui');
+    // The host itself must not be styled by the page or create a
+    // containing block for our fixed-position children
+    this.host.style.cssText = `
+      all: initial !important;
+      display: contents !important;
+    `;
+
+    this.shadow = this.host.attachShadow({ mode: 'closed' });
+
+    const style = document.createElement('style');
+    style.textContent = `
+      :host {
+        all: initial;
+      }
+
+      #speed-reader-toast,
+      #speed-reader-rsvp,
+      .prism-pacer-reading-pin-tooltip,
+      .prism-pacer-md-picker-tooltip,
+      .prism-pacer-reading-marker {
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+        user-select: none;
+        -webkit-user-select: none;
+      }
+
+      #speed-reader-dimmer-top,
+      #speed-reader-dimmer-bottom {
+        will-change: height;
+      }
+
+      #speed-reader-pacer {
+        will-change: top;
+      }
+
+      #speed-reader-rsvp {
+        animation: fadeIn 0.2s ease-out;
+      }
+
+      @keyframes fadeIn {
+        from {
+          opacity: 0;
+        }
+        to {
+          opacity: 1;
+        }
+      }
+
+      @media (prefers-contrast: high) {
+        #speed-reader-toast {
+          border-width: 2px !important;
+        }
+      }
+
+      @media (prefers-reduced-motion: reduce) {
+        #speed-reader-pacer,
+        #speed-reader-dimmer-top,
+        #speed-reader-dimmer-bottom,
+        #speed-reader-toast {
+          transition: none !important;
+        }
+      }
+    `;
+    this.shadow.appendChild(style);
+  }
+
+  /**
+   * Add an element to the isolated UI layer
+   */
+  mount(element) {
+    this.init();
+
+    // Attach to <html> rather than <body> so body-level rules
+    // (e.g. "body > *") never match, and re-attach if a SPA removed it
+    if (!this.host.isConnected) {
+      document.documentElement.appendChild(this.host);
+    }
+
+    this.shadow.appendChild(element);
+    return element;
+  }
+}
+
+// Create global instance
+const uiRoot = new UIRoot();
@@ -0,0 +1,140 @@
+/**
+ * RSVP reader themes for Prism Pacer
+ * Shared by the content script (overlay) and the settings page (preview)
+ */
+
+const RSVP_THEMES = {
+  dark: {
+    label: 'Dark',
+    backgroundColor: '#1a1a1a',
+    textColor: '#ffffff',
+    mutedColor: '#71717a',
+    accentColor: '#3b82f6',
+    trackColor: '#3f3f46',
+    buttonColor: '#27272a',
+    buttonHoverColor: '#3f3f46',
+    buttonTextColor: '#e4e4e7',
+    fontFamily: 'system-ui',
+    fontWeight: 500,
+    letterSpacing: 'normal',
+    wordSpacing: 'normal',
+    lineHeight: 1.4
+  },
+
+  sepia: {
+    label: 'Sepia',
+    backgroundColor: '#f4ecd8',
+    textColor: '#5b4636',
+    mutedColor: '#8c7a66',
+    accentColor: '#b5651d',
+    trackColor: '#dccfb4',
+    buttonColor: '#e6dbc3',
+    buttonHoverColor: '#d8cab0',
+    buttonTextColor: '#5b4636',
+    fontFamily: 'Georgia, "Iowan Old Style", serif',
+    fontWeight: 500,
+    letterSpacing: 'normal',
+    wordSpacing: 'normal',
+    lineHeight: 1.5
+  },
+
+  highContrast: {
+    label: 'High contrast',
+    backgroundColor: '#000000',
+    textColor: '#ffffff',
+    mutedColor: '#e5e5e5',
+    accentColor: '#ffff00',
+    trackColor: '#666666',
+    buttonColor: '#000000',
+    buttonHoverColor: '#333333',
+    buttonTextColor: '#ffffff',
+    fontFamily: 'system-ui',
+    fontWeight: 700,
+    letterSpacing: '0.02em',
+    wordSpacing: 'normal',
+    lineHeight: 1.4
+  },
+
+  // Wide letter and word spacing in the style of OpenDyslexic,
+  // on a soft off-white background to reduce glare
+  dyslexia: {
+    label: 'Dyslexia-friendly',
+    backgroundColor: '#faf7ef',
+    textColor: '#2b2b2b',
+    mutedColor: '#6b6b6b',
+    accentColor: '#2563eb',
+    trackColor: '#ddd8cc',
+    buttonColor: '#ece7da',
+    buttonHoverColor: '#ddd8cc',
+    buttonTextColor: '#2b2b2b',
+    fontFamily: 'OpenDyslexic, "Comic Sans MS", Verdana, sans-serif',
+    fontWeight: 400,
+    letterSpacing: '0.12em',
+    wordSpacing: '0.35em',
+    lineHeight: 1.8
+  }
+};
+
+/**
+ * Resolve the effective theme for RSVP settings.
+ * The "custom" theme is the dark theme with the user's own
+ * fontFamily / backgroundColor / textColor.
+ */
+function resolveRsvpTheme(rsvpSettings = {}) {
+  const preset = RSVP_THEMES[rsvpSettings.theme];
+  if (preset) {
+    return preset;
+  }
+
+  return {
+    ...RSVP_THEMES.dark,
+    label: 'Custom',
+    backgroundColor: rsvpSettings.backgroundColor || RSVP_THEMES.dark.backgroundColor,
+    textColor: rsvpSettings.textColor || RSVP_THEMES.dark.textColor,
+    fontFamily: rsvpSettings.fontFamily || RSVP_THEMES.dark.fontFamily
+  };
+}
+
+/**
+ * Theme for stored RSVP settings. Settings saved before themes existed
+ * have none; a font or colors changed from the old defaults there mean
+ * the custom theme, so the reader keeps showing them.
+ */
+function getStoredRsvpTheme(storedRsvp = {}) {
+  if (storedRsvp.theme) {
+    return storedRsvp.theme;
+  }
+
+  const dark = RSVP_THEMES.dark;
+  const customized =
+    (storedRsvp.fontFamily && storedRsvp.fontFamily !== dark.fontFamily) ||
+    (storedRsvp.backgroundColor && storedRsvp.backgroundColor !== dark.backgroundColor) ||
+    (storedRsvp.textColor && storedRsvp.textColor !== dark.textColor);
+  return customized ? 'custom' : 'dark';
+}
+
+/**
+ * Apply a theme as CSS custom properties on an element; RSVP styles
+ * reference these with var(--rsvp-*)
+ */
+function applyRsvpThemeVariables(element, theme) {
+  const variables = {
+    '--rsvp-bg': theme.backgroundColor,
+    '--rsvp-text': theme.textColor,
+    '--rsvp-muted': theme.mutedColor,
+    '--rsvp-accent': theme.accentColor,
+    '--rsvp-track': theme.trackColor,
+    '--rsvp-button': theme.buttonColor,
+    '--rsvp-button-hover': theme.buttonHoverColor,
+    '--rsvp-button-text': theme.buttonTextColor,
+    '--rsvp-font': `${theme.fontFamily}, -apple-system, BlinkMacSystemFont, sans-serif`,
+    '--rsvp-font-weight': theme.fontWeight,
+    '--rsvp-letter-spacing': theme.letterSpacing,
+    '--rsvp-word-spacing': theme.wordSpacing,
+    '--rsvp-line-height': theme.lineHeight
+  };
+
+  for (const [name, value] of Object.entries(variables)) {
+    element.style.setProperty(name, String(value));
+  }
+}
@@ -0,0 +1,70 @@
+/**
+ * RSVP speed trainer for Prism Pacer
+ * Shared by the content script (after a session) and the popup (progress)
+ *
+ * Reads the RSVP session history ({ wpm, pauses, rewinds, quizScore,
+ * quizTotal }) and decides the next target WPM:
+ * - +trainingStep after trainingSessions sessions in a row at the current
+ *   speed with no rewinds, at most trainingMaxPauses pauses and, when a
+ *   quiz was taken, at least trainingMinComprehension percent correct
+ * - -trainingStep when the last session's quiz fell below that minimum
+ */
+
+const TRAINING_MIN_WPM = 100;
+const TRAINING_MAX_WPM = 1000;
+
+/**
+ * Whether a session counts toward the next speed increase
+ */
+function isQualifyingSession(entry, rules) {
+  if ((entry.rewinds || 0) > 0) return false;
+  if ((entry.pauses || 0) > rules.maxPauses) return false;
+  if (entry.quizTotal > 0 && (entry.quizScore / entry.quizTotal) * 100 < rules.minComprehension) {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Evaluate the history against the training rules in the RSVP settings.
+ * Returns { wpm, nextWpm, streak, needed, reason } where reason is
+ * 'streak', 'comprehension' or null when the speed should stay.
+ */
+function evaluateTraining(history, rsvpSettings) {
+  const wpm = rsvpSettings.wpm;
+  const rules = {
+    step: rsvpSettings.trainingStep ?? 25,
+    needed: rsvpSettings.trainingSessions ?? 3,
+    maxPauses: rsvpSettings.trainingMaxPauses ?? 2,
+    minComprehension: rsvpSettings.trainingMinComprehension ?? 70
+  };
+
+  // Latest sessions read at the current target speed, newest first
+  const recent = [];
+  for (let i = history.length - 1; i >= 0 && history[i].wpm === wpm; i--) {
+    recent.push(history[i]);
+  }
+
+  let streak = 0;
+  while (streak < recent.length && isQualifyingSession(recent[streak], rules)) {
+    streak++;
+  }
+
+  const result = { wpm, nextWpm: wpm, streak, needed: rules.needed, reason: null };
+  const last = recent[0];
+
+  if (last && last.quizTotal > 0 &&
+      (last.quizScore / last.quizTotal) * 100 < rules.minComprehension) {
+    result.nextWpm = Math.max(TRAINING_MIN_WPM, wpm - rules.step);
+    result.reason = 'comprehension';
+  } else if (streak >= rules.needed) {
+    result.nextWpm = Math.min(TRAINING_MAX_WPM, wpm + rules.step);
+    result.reason = 'streak';
+  }
+
+  if (result.nextWpm === wpm) {
+    result.reason = null;
+  }
+
+  return result;
+}
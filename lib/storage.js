@@ -13,7 +13,19 @@ const DEFAULT_SETTINGS = {
     offset: 0,
     smoothFollow: true,
     smartDetection: true,
-    scrollFade: true  // Fade animation on scroll vs instant hide
+    scrollFade: true,  // Fade animation on scroll vs instant hide
+    autoPaceWpm: 250,
+    style: 'underline',
+    bandOpacity: 0.25,
+    bandPadding: 2,
+    bracketWidth: 3,
+    bracketGap: 6,
+    dotSize: 10,
+    sweepWpm: 250,
+    rememberLine: true,
+    trail: false,
+    trailLength: 5,
+    trailColor: '#9ca3af'
   },
 
   dimmer: {
@@ -23,7 +35,10 @@ const DEFAULT_SETTINGS = {
     windowHeight: 60,
     transitionSpeed: 100,
     scrollFade: true,  // Fade animation on scroll vs instant hide
-    focusedBox: false  // Use focused box mode vs banner mode
+    focusedBox: false,  // Use focused box mode vs banner mode
+    shape: 'banner',
+    edgeSoftness: 40,
+    spotlightRadius: 140
   },
 
   rsvp: {
@@ -33,7 +48,28 @@ const DEFAULT_SETTINGS = {
     fontFamily: 'system-ui',
     pauseOnPunctuation: true,
     backgroundColor: '#1a1a1a',
-    textColor: '#ffffff'
+    textColor: '#ffffff',
+    orpAlignment: false,
+    pivotColor: '#ef4444',
+    timingModel: 'smart',
+    warmupWords: 10,
+    theme: 'dark',
+    displayMode: 'word',
+    flowLines: 4,
+    chunking: 'fixed',
+    maxChunkWidth: 20,
+    comprehensionCheck: false,
+    quizQuestions: 3,
+    trainingMode: 'off',
+    trainingStep: 25,
+    trainingSessions: 3,
+    trainingMaxPauses: 2,
+    trainingMinComprehension: 70,
+    codeBlocks: 'show',
+    popOut: false,
+    readAloud: false,
+    speechVoice: '',
+    speechLang: ''
   },
 
   keybindings: {
@@ -41,10 +77,22 @@ const DEFAULT_SETTINGS = {
     toggleDimmer: { key: 'd', modifiers: ['Alt', 'Shift'] },
     toggleBoth: { key: 'b', modifiers: ['Alt', 'Shift'] },
     disableAll: { key: 'x', modifiers: ['Alt', 'Shift'] },
+    toggleAutoPace: { key: 'a', modifiers: ['Alt', 'Shift'] },
     startRsvp: { key: 'r', modifiers: ['Alt', 'Shift'] },
+    startRsvpHere: { key: 'h', modifiers: ['Alt', 'Shift'] },
+    addToQueue: { key: 'q', modifiers: ['Alt', 'Shift'] },
+    jumpToMarker: { key: 'j', modifiers: ['Alt', 'Shift'] },
     rsvpPause: { key: ' ', modifiers: [], context: 'rsvp' },
     rsvpSpeedUp: { key: 'ArrowRight', modifiers: [], context: 'rsvp' },
     rsvpSpeedDown: { key: 'ArrowLeft', modifiers: [], context: 'rsvp' },
+    rsvpPrevWord: { key: 'ArrowLeft', modifiers: ['Shift'], context: 'rsvp' },
+    rsvpNextWord: { key: 'ArrowRight', modifiers: ['Shift'], context: 'rsvp' },
+    rsvpPrevSentence: { key: 'ArrowUp', modifiers: [], context: 'rsvp' },
+    rsvpNextSentence: { key: 'ArrowDown', modifiers: [], context: 'rsvp' },
+    rsvpPrevParagraph: { key: 'ArrowUp', modifiers: ['Shift'], context: 'rsvp' },
+    rsvpNextParagraph: { key: 'ArrowDown', modifiers: ['Shift'], context: 'rsvp' },
+    rsvpToggleView: { key: 'v', modifiers: [], context: 'rsvp' },
+    rsvpPopOut: { key: 'p', modifiers: [], context: 'rsvp' },
     rsvpExit: { key: 'Escape', modifiers: [], context: 'rsvp' },
     increaseWindowHeight: { key: 'ArrowUp', modifiers: ['Alt', 'Shift'] },
     decreaseWindowHeight: { key: 'ArrowDown', modifiers: ['Alt', 'Shift'] },
@@ -35,7 +35,20 @@ const dimmerShortcut = document.getElementById('dimmer-shortcut');
 const rsvpShortcut = document.getElementById('rsvp-shortcut');
 const wordsRead = document.getElementById('words-read');
 const sessions = document.getElementById('sessions');
+const comprehension = document.getElementById('comprehension');
+const trainingSection = document.getElementById('training-section');
+const trainingWpm = document.getElementById('training-wpm');
+const trainingBar = document.getElementById('training-bar');
+const trainingHint = document.getElementById('training-hint');
+const trainingApply = document.getElementById('training-apply');
 const settingsBtn = document.getElementById('settings-btn');
+const queueCount = document.getElementById('queue-count');
+const queueList = document.getElementById('queue-list');
+const queueHint = document.getElementById('queue-hint');
+const queueShortcut = document.getElementById('queue-shortcut');
+const queueAdd = document.getElementById('queue-add');
+const queuePlay = document.getElementById('queue-play');
+const queueClear = document.getElementById('queue-clear');
 
 /**
  * Get effective enabled state for a feature (per-tab or global default)
@@ -57,7 +70,7 @@ async function loadSettings() {
     currentTabId = null;
   }
   
-  const result = await chrome.storage.local.get(['settings']);
+  const result = await chrome.storage.local.get(['settings', 'rsvpHistory']);
   const settings = result.settings || getDefaultSettings();
   tabState = {};
   if (currentTabId !== null) {
@@ -82,10 +95,130 @@ async function loadSettings() {
   pacerShortcut.textContent = `Shortcut: ${formatKeybinding(settings.keybindings?.togglePacer)}`;
   dimmerShortcut.textContent = `Shortcut: ${formatKeybinding(settings.keybindings?.toggleDimmer)}`;
   rsvpShortcut.textContent = formatKeybinding(settings.keybindings?.startRsvp);
+  queueShortcut.textContent = formatKeybinding(settings.keybindings?.addToQueue);
   
   // Update stats
   wordsRead.textContent = formatNumber(settings.stats?.totalWordsRead || 0);
   sessions.textContent = settings.stats?.sessionsCompleted || 0;
+  comprehension.textContent = formatComprehension(result.rsvpHistory || []);
+  
+  updateTraining(settings.rsvp, result.rsvpHistory || []);
+}
+
+/**
+ * Show progress toward the next training speed
+ */
+function updateTraining(rsvp, history) {
+  const mode = rsvp?.trainingMode || 'off';
+  trainingSection.hidden = mode === 'off';
+  if (mode === 'off') return;
+  
+  const training = evaluateTraining(history, rsvp);
+  trainingWpm.textContent = `${training.wpm} WPM`;
+  trainingBar.style.width = `${Math.min(100, (training.streak / training.needed) * 100)}%`;
+  
+  if (training.reason === 'comprehension') {
+    trainingHint.textContent = `Comprehension dropped - step back to ${training.nextWpm} WPM`;
+  } else if (training.reason === 'streak') {
+    trainingHint.textContent = `Ready for ${training.nextWpm} WPM`;
+  } else {
+    trainingHint.textContent = `${training.streak} of ${training.needed} clean sessions toward the next step`;
+  }
+  
+  // In auto mode the content script has already applied the new speed
+  trainingApply.hidden = mode !== 'suggest' || !training.reason;
+  trainingApply.textContent = `Use ${training.nextWpm} WPM`;
+  trainingApply.dataset.wpm = training.nextWpm;
+}
+
+/**
+ * Load the reading queue from the service worker and render it
+ */
+async function loadQueue() {
+  let queue = [];
+  try {
+    queue = await chrome.runtime.sendMessage({ type: 'QUEUE_GET' }) || [];
+  } catch (e) {
+    queue = [];
+  }
+  renderQueue(queue);
+}
+
+/**
+ * Render queue items with their progress and reorder / remove buttons
+ */
+function renderQueue(queue) {
+  const remaining = queue.filter(item => !item.done).length;
+  queueCount.textContent = queue.length > 0 ? `${remaining} to read` : '';
+  queueHint.hidden = queue.length > 0;
+  queuePlay.disabled = remaining === 0;
+  queueClear.disabled = remaining === queue.length;
+  
+  queueList.replaceChildren(...queue.map((item, index) => {
+    const row = document.createElement('li');
+    row.className = `queue-item${item.done ? ' done' : ''}`;
+    row.dataset.id = item.id;
+    
+    const title = document.createElement('span');
+    title.className = 'queue-title';
+    title.textContent = item.title;
+    title.title = item.url;
+    
+    const progress = document.createElement('span');
+    progress.className = 'queue-progress';
+    progress.textContent = formatQueueProgress(item);
+    
+    const up = createQueueButton('↑', 'Move up', 'up');
+    up.disabled = index === 0;
+    const down = createQueueButton('↓', 'Move down', 'down');
+    down.disabled = index === queue.length - 1;
+    const remove = createQueueButton('✕', 'Remove', 'remove');
+    
+    row.append(title, progress, up, down, remove);
+    return row;
+  }));
+}
+
+function createQueueButton(text, label, action) {
+  const button = document.createElement('button');
+  button.className = 'queue-item-btn';
+  button.textContent = text;
+  button.title = label;
+  button.dataset.action = action;
+  return button;
+}
+
+function formatQueueProgress(item) {
+  if (item.done) return '✓';
+  if (!item.totalWords) return '';
+  return `${Math.round((item.wordIndex / item.totalWords) * 100)}%`;
+}
+
+/**
+ * Send a reading queue message to the active tab's content script
+ */
+async function sendToActiveTab(message) {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    await chrome.tabs.sendMessage(tab.id, message);
+    return true;
+  } catch (e) {
+    queueHint.hidden = false;
+    queueHint.textContent = 'Prism Pacer cannot run on this page';
+    return false;
+  }
+}
+
+/**
+ * Average quiz score over the last 10 RSVP sessions that had a
+ * comprehension check
+ */
+function formatComprehension(history) {
+  const quizzes = history.filter(entry => entry.quizTotal > 0).slice(-10);
+  if (quizzes.length === 0) return '–';
+  
+  const score = quizzes.reduce((total, entry) => total + entry.quizScore / entry.quizTotal, 0);
+  return `${Math.round((score / quizzes.length) * 100)}%`;
 }
 
 function getDefaultSettings() {
@@ -100,6 +233,7 @@ function getDefaultSettings() {
       togglePacer: { key: 'p', modifiers: ['Alt', 'Shift'] },
       toggleDimmer: { key: 'd', modifiers: ['Alt', 'Shift'] },
       startRsvp: { key: 'r', modifiers: ['Alt', 'Shift'] },
+      addToQueue: { key: 'q', modifiers: ['Alt', 'Shift'] },
       reselectReadingElement: { key: 's', modifiers: ['Alt', 'Shift'] },
       convertToMarkdown: { key: 'm', modifiers: ['Alt', 'Shift'] }
     },
@@ -174,6 +308,39 @@ dimmerToggle.addEventListener('change', (e) => {
   saveTabState('dimmer', e.target.checked);
 });
 
+trainingApply.addEventListener('click', async () => {
+  const result = await chrome.storage.local.get(['settings']);
+  const settings = result.settings || getDefaultSettings();
+  settings.rsvp = { ...settings.rsvp, wpm: parseInt(trainingApply.dataset.wpm) };
+  await chrome.storage.local.set({ settings });
+});
+
+queueList.addEventListener('click', (e) => {
+  const button = e.target.closest('button');
+  if (!button) return;
+  
+  const id = button.closest('.queue-item').dataset.id;
+  if (button.dataset.action === 'remove') {
+    chrome.runtime.sendMessage({ type: 'QUEUE_REMOVE', id });
+  } else {
+    chrome.runtime.sendMessage({ type: 'QUEUE_MOVE', id, offset: button.dataset.action === 'up' ? -1 : 1 });
+  }
+});
+
+queueAdd.addEventListener('click', () => {
+  sendToActiveTab({ type: 'QUEUE_ADD_FROM_PAGE', scope: 'auto' });
+});
+
+queuePlay.addEventListener('click', async () => {
+  if (await sendToActiveTab({ type: 'QUEUE_PLAY' })) {
+    window.close();
+  }
+});
+
+queueClear.addEventListener('click', () => {
+  chrome.runtime.sendMessage({ type: 'QUEUE_CLEAR_DONE' });
+});
+
 settingsBtn.addEventListener('click', () => {
   chrome.runtime.openOptionsPage();
 });
@@ -183,7 +350,11 @@ chrome.storage.onChanged.addListener((changes, namespace) => {
   if (namespace === 'local' && (changes.settings || changes.tabStates)) {
     loadSettings();
   }
+  if (namespace === 'local' && changes.readingQueue) {
+    renderQueue(changes.readingQueue.newValue || []);
+  }
 });
 
 // Initialize
 loadSettings();
+loadQueue();
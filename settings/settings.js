@@ -16,7 +16,19 @@ const DEFAULT_SETTINGS = {
     offset: 0,
     smoothFollow: true,
     smartDetection: true,
-    scrollFade: true
+    scrollFade: true,
+    autoPaceWpm: 250,
+    style: 'underline',
+    bandOpacity: 0.25,
+    bandPadding: 2,
+    bracketWidth: 3,
+    bracketGap: 6,
+    dotSize: 10,
+    sweepWpm: 250,
+    rememberLine: true,
+    trail: false,
+    trailLength: 5,
+    trailColor: '#9ca3af'
   },
   dimmer: {
     enabled: false,
@@ -25,7 +37,10 @@ const DEFAULT_SETTINGS = {
     windowHeight: 60,
     transitionSpeed: 100,
     scrollFade: true,
-    focusedBox: false
+    focusedBox: false,
+    shape: 'banner',
+    edgeSoftness: 40,
+    spotlightRadius: 140
   },
   controlMode: {
     mode: 'mouse',
@@ -38,17 +53,50 @@ const DEFAULT_SETTINGS = {
     fontFamily: 'system-ui',
     pauseOnPunctuation: true,
     backgroundColor: '#1a1a1a',
-    textColor: '#ffffff'
+    textColor: '#ffffff',
+    orpAlignment: false,
+    pivotColor: '#ef4444',
+    timingModel: 'smart',
+    warmupWords: 10,
+    theme: 'dark',
+    displayMode: 'word',
+    flowLines: 4,
+    chunking: 'fixed',
+    maxChunkWidth: 20,
+    comprehensionCheck: false,
+    quizQuestions: 3,
+    trainingMode: 'off',
+    trainingStep: 25,
+    trainingSessions: 3,
+    trainingMaxPauses: 2,
+    trainingMinComprehension: 70,
+    codeBlocks: 'show',
+    popOut: false,
+    readAloud: false,
+    speechVoice: '',
+    speechLang: ''
   },
   keybindings: {
     togglePacer: { key: 'p', modifiers: ['Alt', 'Shift'] },
     toggleDimmer: { key: 'd', modifiers: ['Alt', 'Shift'] },
     toggleBoth: { key: 'b', modifiers: ['Alt', 'Shift'] },
     disableAll: { key: 'x', modifiers: ['Alt', 'Shift'] },
+    toggleAutoPace: { key: 'a', modifiers: ['Alt', 'Shift'] },
     startRsvp: { key: 'r', modifiers: ['Alt', 'Shift'] },
+    startRsvpHere: { key: 'h', modifiers: ['Alt', 'Shift'] },
+    addToQueue: { key: 'q', modifiers: ['Alt', 'Shift'] },
+    jumpToMarker: { key: 'j', modifiers: ['Alt', 'Shift'] },
     rsvpPause: { key: ' ', modifiers: [], context: 'rsvp' },
     rsvpSpeedUp: { key: 'ArrowRight', modifiers: [], context: 'rsvp' },
     rsvpSpeedDown: { key: 'ArrowLeft', modifiers: [], context: 'rsvp' },
+    rsvpPrevWord: { key: 'ArrowLeft', modifiers: ['Shift'], context: 'rsvp' },
+    rsvpNextWord: { key: 'ArrowRight', modifiers: ['Shift'], context: 'rsvp' },
+    rsvpPrevSentence: { key: 'ArrowUp', modifiers: [], context: 'rsvp' },
+    rsvpNextSentence: { key: 'ArrowDown', modifiers: [], context: 'rsvp' },
+    rsvpPrevParagraph: { key: 'ArrowUp', modifiers: ['Shift'], context: 'rsvp' },
+    rsvpNextParagraph: { key: 'ArrowDown', modifiers: ['Shift'], context: 'rsvp' },
+    rsvpToggleView: { key: 'v', modifiers: [], context: 'rsvp' },
+    rsvpPopOut: { key: 'p', modifiers: [], context: 'rsvp' },
     rsvpExit: { key: 'Escape', modifiers: [], context: 'rsvp' },
     increaseWindowHeight: { key: 'ArrowUp', modifiers: ['Alt', 'Shift'] },
     decreaseWindowHeight: { key: 'ArrowDown', modifiers: ['Alt', 'Shift'] },
@@ -72,10 +120,22 @@ const KEYBINDING_LABELS = {
   toggleDimmer: 'Toggle Dimmer',
   toggleBoth: 'Toggle Both',
   disableAll: 'Disable All',
+  toggleAutoPace: 'Toggle Pacer Auto-Pace',
   startRsvp: 'Start RSVP',
+  startRsvpHere: 'Start RSVP From Clicked Word',
+  addToQueue: 'Add Selection / Article to Reading Queue',
+  jumpToMarker: 'Jump to Last Read Line',
   rsvpPause: 'RSVP: Pause/Play',
   rsvpSpeedUp: 'RSVP: Speed Up',
   rsvpSpeedDown: 'RSVP: Speed Down',
+  rsvpPrevWord: 'RSVP: Back One Word',
+  rsvpNextWord: 'RSVP: Forward One Word',
+  rsvpPrevSentence: 'RSVP: Previous Sentence',
+  rsvpNextSentence: 'RSVP: Next Sentence',
+  rsvpPrevParagraph: 'RSVP: Previous Paragraph',
+  rsvpNextParagraph: 'RSVP: Next Paragraph',
+  rsvpToggleView: 'RSVP: Toggle Word / Flow View',
+  rsvpPopOut: 'RSVP: Pop Out / Dock Window',
   rsvpExit: 'RSVP: Exit',
   increaseWindowHeight: 'Increase Window Height',
   decreaseWindowHeight: 'Decrease Window Height',
@@ -103,6 +163,26 @@ const elements = {
   pacerSmooth: document.getElementById('pacer-smooth'),
   pacerSmart: document.getElementById('pacer-smart'),
   pacerScrollFade: document.getElementById('pacer-scroll-fade'),
+  pacerRememberLine: document.getElementById('pacer-remember-line'),
+  pacerAutoWpm: document.getElementById('pacer-auto-wpm'),
+  pacerAutoWpmValue: document.getElementById('pacer-auto-wpm-value'),
+  pacerStyle: document.getElementById('pacer-style'),
+  pacerBandOpacity: document.getElementById('pacer-band-opacity'),
+  pacerBandOpacityValue: document.getElementById('pacer-band-opacity-value'),
+  pacerBandPadding: document.getElementById('pacer-band-padding'),
+  pacerBandPaddingValue: document.getElementById('pacer-band-padding-value'),
+  pacerBracketWidth: document.getElementById('pacer-bracket-width'),
+  pacerBracketWidthValue: document.getElementById('pacer-bracket-width-value'),
+  pacerBracketGap: document.getElementById('pacer-bracket-gap'),
+  pacerBracketGapValue: document.getElementById('pacer-bracket-gap-value'),
+  pacerDotSize: document.getElementById('pacer-dot-size'),
+  pacerDotSizeValue: document.getElementById('pacer-dot-size-value'),
+  pacerSweepWpm: document.getElementById('pacer-sweep-wpm'),
+  pacerSweepWpmValue: document.getElementById('pacer-sweep-wpm-value'),
+  pacerTrail: document.getElementById('pacer-trail'),
+  pacerTrailLength: document.getElementById('pacer-trail-length'),
+  pacerTrailLengthValue: document.getElementById('pacer-trail-length-value'),
+  pacerTrailColor: document.getElementById('pacer-trail-color'),
   
   // Dimmer
   dimmerOpacity: document.getElementById('dimmer-opacity'),
@@ -113,15 +193,53 @@ const elements = {
   dimmerTransition: document.getElementById('dimmer-transition'),
   dimmerTransitionValue: document.getElementById('dimmer-transition-value'),
   dimmerScrollFade: document.getElementById('dimmer-scroll-fade'),
-  dimmerFocusedBox: document.getElementById('dimmer-focused-box'),
+  dimmerShape: document.getElementById('dimmer-shape'),
+  dimmerEdgeSoftness: document.getElementById('dimmer-edge-softness'),
+  dimmerEdgeSoftnessValue: document.getElementById('dimmer-edge-softness-value'),
+  dimmerSpotlightRadius: document.getElementById('dimmer-spotlight-radius'),
+  dimmerSpotlightRadiusValue: document.getElementById('dimmer-spotlight-radius-value'),
   
   // RSVP
   rsvpWpm: document.getElementById('rsvp-wpm'),
   rsvpWpmValue: document.getElementById('rsvp-wpm-value'),
   rsvpChunk: document.getElementById('rsvp-chunk'),
+  rsvpChunking: document.getElementById('rsvp-chunking'),
+  rsvpChunkWidth: document.getElementById('rsvp-chunk-width'),
+  rsvpChunkWidthValue: document.getElementById('rsvp-chunk-width-value'),
+  rsvpDisplayMode: document.getElementById('rsvp-display-mode'),
+  rsvpFlowLines: document.getElementById('rsvp-flow-lines'),
+  rsvpFlowLinesValue: document.getElementById('rsvp-flow-lines-value'),
+  rsvpCodeBlocks: document.getElementById('rsvp-code-blocks'),
+  rsvpPopOut: document.getElementById('rsvp-pop-out'),
+  rsvpReadAloud: document.getElementById('rsvp-read-aloud'),
+  rsvpSpeechLang: document.getElementById('rsvp-speech-lang'),
+  rsvpVoice: document.getElementById('rsvp-voice'),
   rsvpFontsize: document.getElementById('rsvp-fontsize'),
   rsvpFontsizeValue: document.getElementById('rsvp-fontsize-value'),
   rsvpPause: document.getElementById('rsvp-pause'),
+  rsvpTiming: document.getElementById('rsvp-timing'),
+  rsvpWarmup: document.getElementById('rsvp-warmup'),
+  rsvpWarmupValue: document.getElementById('rsvp-warmup-value'),
+  rsvpOrp: document.getElementById('rsvp-orp'),
+  rsvpPivotColor: document.getElementById('rsvp-pivot-color'),
+  rsvpQuiz: document.getElementById('rsvp-quiz'),
+  rsvpQuizCount: document.getElementById('rsvp-quiz-count'),
+  rsvpQuizCountValue: document.getElementById('rsvp-quiz-count-value'),
+  rsvpTraining: document.getElementById('rsvp-training'),
+  rsvpTrainingStep: document.getElementById('rsvp-training-step'),
+  rsvpTrainingStepValue: document.getElementById('rsvp-training-step-value'),
+  rsvpTrainingSessions: document.getElementById('rsvp-training-sessions'),
+  rsvpTrainingSessionsValue: document.getElementById('rsvp-training-sessions-value'),
+  rsvpTrainingPauses: document.getElementById('rsvp-training-pauses'),
+  rsvpTrainingPausesValue: document.getElementById('rsvp-training-pauses-value'),
+  rsvpTrainingComprehension: document.getElementById('rsvp-training-comprehension'),
+  rsvpTrainingComprehensionValue: document.getElementById('rsvp-training-comprehension-value'),
+  rsvpTheme: document.getElementById('rsvp-theme'),
+  rsvpFont: document.getElementById('rsvp-font'),
+  rsvpBgColor: document.getElementById('rsvp-bg-color'),
+  rsvpTextColor: document.getElementById('rsvp-text-color'),
+  rsvpPreview: document.getElementById('rsvp-preview'),
+  rsvpPreviewWord: document.getElementById('rsvp-preview-word'),
 
   // Control Mode
   controlMode: document.getElementById('control-mode'),
@@ -170,13 +288,25 @@ function formatKeybinding(binding) {
   return isMac ? parts.join('') : parts.join(' + ');
 }
 
+/**
+ * Fill in settings added since the stored copy was saved, per section
+ */
+function withDefaults(stored) {
+  const merged = { ...stored };
+  for (const [section, defaults] of Object.entries(DEFAULT_SETTINGS)) {
+    merged[section] = { ...JSON.parse(JSON.stringify(defaults)), ...(stored[section] || {}) };
+  }
+  merged.rsvp.theme = getStoredRsvpTheme(stored.rsvp);
+  return merged;
+}
+
 /**
  * Load settings from storage
  */
 async function loadSettings() {
   return new Promise((resolve) => {
     chrome.storage.local.get(['settings'], (result) => {
-      settings = result.settings || { ...DEFAULT_SETTINGS };
+      settings = result.settings ? withDefaults(result.settings) : JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
       resolve(settings);
     });
   });
@@ -218,6 +348,28 @@ function populateUI() {
   elements.pacerSmooth.checked = settings.pacer.smoothFollow;
   elements.pacerSmart.checked = settings.pacer.smartDetection !== false;
   elements.pacerScrollFade.checked = settings.pacer.scrollFade !== false;
+  elements.pacerRememberLine.checked = settings.pacer.rememberLine ?? DEFAULT_SETTINGS.pacer.rememberLine;
+  elements.pacerAutoWpm.value = settings.pacer.autoPaceWpm ?? DEFAULT_SETTINGS.pacer.autoPaceWpm;
+  elements.pacerAutoWpmValue.textContent = `${elements.pacerAutoWpm.value} WPM`;
+  elements.pacerStyle.value = settings.pacer.style ?? DEFAULT_SETTINGS.pacer.style;
+  elements.pacerBandOpacity.value = settings.pacer.bandOpacity ?? DEFAULT_SETTINGS.pacer.bandOpacity;
+  elements.pacerBandOpacityValue.textContent = `${Math.round(elements.pacerBandOpacity.value * 100)}%`;
+  elements.pacerBandPadding.value = settings.pacer.bandPadding ?? DEFAULT_SETTINGS.pacer.bandPadding;
+  elements.pacerBandPaddingValue.textContent = `${elements.pacerBandPadding.value}px`;
+  elements.pacerBracketWidth.value = settings.pacer.bracketWidth ?? DEFAULT_SETTINGS.pacer.bracketWidth;
+  elements.pacerBracketWidthValue.textContent = `${elements.pacerBracketWidth.value}px`;
+  elements.pacerBracketGap.value = settings.pacer.bracketGap ?? DEFAULT_SETTINGS.pacer.bracketGap;
+  elements.pacerBracketGapValue.textContent = `${elements.pacerBracketGap.value}px`;
+  elements.pacerDotSize.value = settings.pacer.dotSize ?? DEFAULT_SETTINGS.pacer.dotSize;
+  elements.pacerDotSizeValue.textContent = `${elements.pacerDotSize.value}px`;
+  elements.pacerSweepWpm.value = settings.pacer.sweepWpm ?? DEFAULT_SETTINGS.pacer.sweepWpm;
+  elements.pacerSweepWpmValue.textContent = `${elements.pacerSweepWpm.value} WPM`;
+  updatePacerStyleControls();
+  elements.pacerTrail.checked = settings.pacer.trail ?? DEFAULT_SETTINGS.pacer.trail;
+  elements.pacerTrailLength.value = settings.pacer.trailLength ?? DEFAULT_SETTINGS.pacer.trailLength;
+  elements.pacerTrailLengthValue.textContent = `${elements.pacerTrailLength.value} lines`;
+  elements.pacerTrailColor.value = settings.pacer.trailColor ?? DEFAULT_SETTINGS.pacer.trailColor;
+  updatePacerTrailControls();
   
   // Dimmer
   elements.dimmerOpacity.value = settings.dimmer.opacity;
@@ -228,15 +380,62 @@ function populateUI() {
   elements.dimmerTransition.value = settings.dimmer.transitionSpeed;
   elements.dimmerTransitionValue.textContent = `${settings.dimmer.transitionSpeed}ms`;
   elements.dimmerScrollFade.checked = settings.dimmer.scrollFade !== false;
-  elements.dimmerFocusedBox.checked = settings.dimmer.focusedBox || false;
+  // Settings saved before shapes existed only have focusedBox
+  const shape = settings.dimmer.shape ?? DEFAULT_SETTINGS.dimmer.shape;
+  elements.dimmerShape.value = shape === 'banner' && settings.dimmer.focusedBox ? 'box' : shape;
+  elements.dimmerEdgeSoftness.value = settings.dimmer.edgeSoftness ?? DEFAULT_SETTINGS.dimmer.edgeSoftness;
+  elements.dimmerEdgeSoftnessValue.textContent = `${elements.dimmerEdgeSoftness.value}px`;
+  elements.dimmerSpotlightRadius.value = settings.dimmer.spotlightRadius ?? DEFAULT_SETTINGS.dimmer.spotlightRadius;
+  elements.dimmerSpotlightRadiusValue.textContent = `${elements.dimmerSpotlightRadius.value}px`;
+  updateDimmerShapeControls();
   
   // RSVP
   elements.rsvpWpm.value = settings.rsvp.wpm;
   elements.rsvpWpmValue.textContent = `${settings.rsvp.wpm} WPM`;
   elements.rsvpChunk.value = settings.rsvp.chunkSize;
+  elements.rsvpChunking.value = settings.rsvp.chunking || DEFAULT_SETTINGS.rsvp.chunking;
+  elements.rsvpChunkWidth.value = settings.rsvp.maxChunkWidth ?? DEFAULT_SETTINGS.rsvp.maxChunkWidth;
+  elements.rsvpChunkWidthValue.textContent = `${elements.rsvpChunkWidth.value} chars`;
+  elements.rsvpChunk.disabled = elements.rsvpChunking.value === 'phrase';
+  elements.rsvpChunkWidth.disabled = elements.rsvpChunking.value !== 'phrase';
+  elements.rsvpDisplayMode.value = settings.rsvp.displayMode || DEFAULT_SETTINGS.rsvp.displayMode;
+  elements.rsvpFlowLines.value = settings.rsvp.flowLines ?? DEFAULT_SETTINGS.rsvp.flowLines;
+  elements.rsvpFlowLinesValue.textContent = `${elements.rsvpFlowLines.value} lines`;
+  elements.rsvpCodeBlocks.value = settings.rsvp.codeBlocks || DEFAULT_SETTINGS.rsvp.codeBlocks;
+  elements.rsvpPopOut.checked = settings.rsvp.popOut || false;
+  elements.rsvpReadAloud.checked = settings.rsvp.readAloud || false;
+  populateVoiceOptions();
+  updateSpeechControls();
   elements.rsvpFontsize.value = settings.rsvp.fontSize;
   elements.rsvpFontsizeValue.textContent = `${settings.rsvp.fontSize}px`;
   elements.rsvpPause.checked = settings.rsvp.pauseOnPunctuation;
+  elements.rsvpTiming.value = settings.rsvp.timingModel || DEFAULT_SETTINGS.rsvp.timingModel;
+  elements.rsvpWarmup.value = settings.rsvp.warmupWords ?? DEFAULT_SETTINGS.rsvp.warmupWords;
+  elements.rsvpWarmupValue.textContent = `${elements.rsvpWarmup.value} words`;
+  elements.rsvpWarmup.disabled = elements.rsvpTiming.value !== 'smart';
+  elements.rsvpOrp.checked = settings.rsvp.orpAlignment || false;
+  elements.rsvpPivotColor.value = settings.rsvp.pivotColor || DEFAULT_SETTINGS.rsvp.pivotColor;
+  elements.rsvpPivotColor.disabled = !elements.rsvpOrp.checked;
+  elements.rsvpQuiz.checked = settings.rsvp.comprehensionCheck || false;
+  elements.rsvpQuizCount.value = settings.rsvp.quizQuestions ?? DEFAULT_SETTINGS.rsvp.quizQuestions;
+  elements.rsvpQuizCountValue.textContent = elements.rsvpQuizCount.value;
+  elements.rsvpQuizCount.disabled = !elements.rsvpQuiz.checked;
+  elements.rsvpTraining.value = settings.rsvp.trainingMode || DEFAULT_SETTINGS.rsvp.trainingMode;
+  elements.rsvpTrainingStep.value = settings.rsvp.trainingStep ?? DEFAULT_SETTINGS.rsvp.trainingStep;
+  elements.rsvpTrainingStepValue.textContent = `${elements.rsvpTrainingStep.value} WPM`;
+  elements.rsvpTrainingSessions.value = settings.rsvp.trainingSessions ?? DEFAULT_SETTINGS.rsvp.trainingSessions;
+  elements.rsvpTrainingSessionsValue.textContent = elements.rsvpTrainingSessions.value;
+  elements.rsvpTrainingPauses.value = settings.rsvp.trainingMaxPauses ?? DEFAULT_SETTINGS.rsvp.trainingMaxPauses;
+  elements.rsvpTrainingPausesValue.textContent = elements.rsvpTrainingPauses.value;
+  elements.rsvpTrainingComprehension.value = settings.rsvp.trainingMinComprehension ?? DEFAULT_SETTINGS.rsvp.trainingMinComprehension;
+  elements.rsvpTrainingComprehensionValue.textContent = `${elements.rsvpTrainingComprehension.value}%`;
+  updateTrainingControls();
+  elements.rsvpTheme.value = settings.rsvp.theme || DEFAULT_SETTINGS.rsvp.theme;
+  elements.rsvpFont.value = settings.rsvp.fontFamily;
+  elements.rsvpBgColor.value = settings.rsvp.backgroundColor;
+  elements.rsvpTextColor.value = settings.rsvp.textColor;
+  updateCustomThemeControls();
+  updateRsvpPreview();
 
   // Control Mode
   elements.controlMode.value = settings.controlMode?.mode || 'mouse';
@@ -247,6 +446,112 @@ function populateUI() {
   renderKeybindings();
 }
 
+/**
+ * Training rules only apply while speed training is on
+ */
+function updateTrainingControls() {
+  const disabled = elements.rsvpTraining.value === 'off';
+  elements.rsvpTrainingStep.disabled = disabled;
+  elements.rsvpTrainingSessions.disabled = disabled;
+  elements.rsvpTrainingPauses.disabled = disabled;
+  elements.rsvpTrainingComprehension.disabled = disabled;
+}
+
+/**
+ * Fill the voice language and voice lists from the installed voices.
+ * Voices load asynchronously, so this runs again on voiceschanged.
+ */
+function populateVoiceOptions() {
+  if (typeof speechSynthesis === 'undefined') return;
+
+  const voices = speechSynthesis.getVoices();
+  const lang = settings.rsvp.speechLang || '';
+  const languages = [...new Set(voices.map(voice => voice.lang))].sort();
+  if (lang && !languages.includes(lang)) {
+    languages.unshift(lang);
+  }
+
+  elements.rsvpSpeechLang.replaceChildren(
+    new Option('Page language', ''),
+    ...languages.map(language => new Option(language, language))
+  );
+  elements.rsvpSpeechLang.value = lang;
+
+  const matching = lang ? voices.filter(voice => voice.lang === lang) : voices;
+  elements.rsvpVoice.replaceChildren(
+    new Option('Default for language', ''),
+    ...matching.map(voice => new Option(`${voice.name} (${voice.lang})`, voice.voiceURI))
+  );
+  elements.rsvpVoice.value = settings.rsvp.speechVoice || '';
+}
+
+/**
+ * Voice choices only apply while reading aloud
+ */
+function updateSpeechControls() {
+  elements.rsvpSpeechLang.disabled = !elements.rsvpReadAloud.checked;
+  elements.rsvpVoice.disabled = !elements.rsvpReadAloud.checked;
+}
+
+/**
+ * Enable only the options of the selected pacer style
+ */
+function updatePacerStyleControls() {
+  const style = elements.pacerStyle.value;
+  const usesBand = style === 'band' || style === 'sweep';
+  elements.pacerBandOpacity.disabled = !usesBand;
+  elements.pacerBandPadding.disabled = !usesBand;
+  elements.pacerBracketWidth.disabled = style !== 'bracket';
+  elements.pacerBracketGap.disabled = style !== 'bracket';
+  elements.pacerDotSize.disabled = style !== 'dot';
+  elements.pacerSweepWpm.disabled = style !== 'dot' && style !== 'sweep';
+}
+
+/**
+ * Enable only the dimmer controls the chosen shape uses
+ */
+function updateDimmerShapeControls() {
+  const shape = elements.dimmerShape.value;
+  elements.dimmerWindow.disabled = shape === 'spotlight' || shape === 'paragraph';
+  elements.dimmerEdgeSoftness.disabled = shape !== 'gradient' && shape !== 'spotlight';
+  elements.dimmerSpotlightRadius.disabled = shape !== 'spotlight';
+}
+
+/**
+ * Trail length and color only apply with the read trail on
+ */
+function updatePacerTrailControls() {
+  elements.pacerTrailLength.disabled = !elements.pacerTrail.checked;
+  elements.pacerTrailColor.disabled = !elements.pacerTrail.checked;
+}
+
+/**
+ * Font and color pickers only apply to the custom theme
+ */
+function updateCustomThemeControls() {
+  const isCustom = elements.rsvpTheme.value === 'custom';
+  elements.rsvpFont.disabled = !isCustom;
+  elements.rsvpBgColor.disabled = !isCustom;
+  elements.rsvpTextColor.disabled = !isCustom;
+}
+
+/**
+ * Show the selected RSVP theme on a sample word
+ */
+function updateRsvpPreview() {
+  applyRsvpThemeVariables(elements.rsvpPreview, resolveRsvpTheme(settings.rsvp));
+
+  const word = 'Reading';
+  if (settings.rsvp.orpAlignment) {
+    const pivot = document.createElement('span');
+    pivot.textContent = word[2];
+    pivot.style.color = settings.rsvp.pivotColor;
+    elements.rsvpPreviewWord.replaceChildren(word.slice(0, 2), pivot, word.slice(3));
+  } else {
+    elements.rsvpPreviewWord.textContent = word;
+  }
+}
+
 /**
  * Render keybindings list
  */
@@ -456,6 +761,64 @@ function setupEventListeners() {
     settings.pacer.scrollFade = e.target.checked;
   });
   
+  elements.pacerRememberLine.addEventListener('change', (e) => {
+    settings.pacer.rememberLine = e.target.checked;
+  });
+  
+  elements.pacerAutoWpm.addEventListener('input', (e) => {
+    settings.pacer.autoPaceWpm = parseInt(e.target.value);
+    elements.pacerAutoWpmValue.textContent = `${e.target.value} WPM`;
+  });
+  
+  elements.pacerStyle.addEventListener('change', (e) => {
+    settings.pacer.style = e.target.value;
+    updatePacerStyleControls();
+  });
+  
+  elements.pacerBandOpacity.addEventListener('input', (e) => {
+    settings.pacer.bandOpacity = parseFloat(e.target.value);
+    elements.pacerBandOpacityValue.textContent = `${Math.round(e.target.value * 100)}%`;
+  });
+  
+  elements.pacerBandPadding.addEventListener('input', (e) => {
+    settings.pacer.bandPadding = parseInt(e.target.value);
+    elements.pacerBandPaddingValue.textContent = `${e.target.value}px`;
+  });
+  
+  elements.pacerBracketWidth.addEventListener('input', (e) => {
+    settings.pacer.bracketWidth = parseInt(e.target.value);
+    elements.pacerBracketWidthValue.textContent = `${e.target.value}px`;
+  });
+  
+  elements.pacerBracketGap.addEventListener('input', (e) => {
+    settings.pacer.bracketGap = parseInt(e.target.value);
+    elements.pacerBracketGapValue.textContent = `${e.target.value}px`;
+  });
+  
+  elements.pacerDotSize.addEventListener('input', (e) => {
+    settings.pacer.dotSize = parseInt(e.target.value);
+    elements.pacerDotSizeValue.textContent = `${e.target.value}px`;
+  });
+  
+  elements.pacerSweepWpm.addEventListener('input', (e) => {
+    settings.pacer.sweepWpm = parseInt(e.target.value);
+    elements.pacerSweepWpmValue.textContent = `${e.target.value} WPM`;
+  });
+  
+  elements.pacerTrail.addEventListener('change', (e) => {
+    settings.pacer.trail = e.target.checked;
+    updatePacerTrailControls();
+  });
+  
+  elements.pacerTrailLength.addEventListener('input', (e) => {
+    settings.pacer.trailLength = parseInt(e.target.value);
+    elements.pacerTrailLengthValue.textContent = `${e.target.value} lines`;
+  });
+  
+  elements.pacerTrailColor.addEventListener('input', (e) => {
+    settings.pacer.trailColor = e.target.value;
+  });
+  
   // Dimmer
   elements.dimmerOpacity.addEventListener('input', (e) => {
     settings.dimmer.opacity = parseFloat(e.target.value);
@@ -480,8 +843,20 @@ function setupEventListeners() {
     settings.dimmer.scrollFade = e.target.checked;
   });
   
-  elements.dimmerFocusedBox.addEventListener('change', (e) => {
-    settings.dimmer.focusedBox = e.target.checked;
+  elements.dimmerShape.addEventListener('change', (e) => {
+    settings.dimmer.shape = e.target.value;
+    settings.dimmer.focusedBox = e.target.value === 'box';
+    updateDimmerShapeControls();
+  });
+  
+  elements.dimmerEdgeSoftness.addEventListener('input', (e) => {
+    settings.dimmer.edgeSoftness = parseInt(e.target.value);
+    elements.dimmerEdgeSoftnessValue.textContent = `${e.target.value}px`;
+  });
+  
+  elements.dimmerSpotlightRadius.addEventListener('input', (e) => {
+    settings.dimmer.spotlightRadius = parseInt(e.target.value);
+    elements.dimmerSpotlightRadiusValue.textContent = `${e.target.value}px`;
   });
   
   // RSVP
@@ -494,6 +869,53 @@ function setupEventListeners() {
     settings.rsvp.chunkSize = parseInt(e.target.value);
   });
   
+  elements.rsvpChunking.addEventListener('change', (e) => {
+    settings.rsvp.chunking = e.target.value;
+    elements.rsvpChunk.disabled = e.target.value === 'phrase';
+    elements.rsvpChunkWidth.disabled = e.target.value !== 'phrase';
+  });
+  
+  elements.rsvpChunkWidth.addEventListener('input', (e) => {
+    settings.rsvp.maxChunkWidth = parseInt(e.target.value);
+    elements.rsvpChunkWidthValue.textContent = `${e.target.value} chars`;
+  });
+  
+  elements.rsvpDisplayMode.addEventListener('change', (e) => {
+    settings.rsvp.displayMode = e.target.value;
+  });
+  
+  elements.rsvpFlowLines.addEventListener('input', (e) => {
+    settings.rsvp.flowLines = parseInt(e.target.value);
+    elements.rsvpFlowLinesValue.textContent = `${e.target.value} lines`;
+  });
+  
+  elements.rsvpCodeBlocks.addEventListener('change', (e) => {
+    settings.rsvp.codeBlocks = e.target.value;
+  });
+  
+  elements.rsvpPopOut.addEventListener('change', (e) => {
+    settings.rsvp.popOut = e.target.checked;
+  });
+  
+  elements.rsvpReadAloud.addEventListener('change', (e) => {
+    settings.rsvp.readAloud = e.target.checked;
+    updateSpeechControls();
+  });
+  
+  elements.rsvpSpeechLang.addEventListener('change', (e) => {
+    settings.rsvp.speechLang = e.target.value;
+    settings.rsvp.speechVoice = '';
+    populateVoiceOptions();
+  });
+  
+  elements.rsvpVoice.addEventListener('change', (e) => {
+    settings.rsvp.speechVoice = e.target.value;
+  });
+  
+  if (typeof speechSynthesis !== 'undefined') {
+    speechSynthesis.addEventListener('voiceschanged', populateVoiceOptions);
+  }
+  
   elements.rsvpFontsize.addEventListener('input', (e) => {
     settings.rsvp.fontSize = parseInt(e.target.value);
     elements.rsvpFontsizeValue.textContent = `${e.target.value}px`;
@@ -502,6 +924,83 @@ function setupEventListeners() {
   elements.rsvpPause.addEventListener('change', (e) => {
     settings.rsvp.pauseOnPunctuation = e.target.checked;
   });
+  
+  elements.rsvpTiming.addEventListener('change', (e) => {
+    settings.rsvp.timingModel = e.target.value;
+    elements.rsvpWarmup.disabled = e.target.value !== 'smart';
+  });
+  
+  elements.rsvpWarmup.addEventListener('input', (e) => {
+    settings.rsvp.warmupWords = parseInt(e.target.value);
+    elements.rsvpWarmupValue.textContent = `${e.target.value} words`;
+  });
+  
+  elements.rsvpOrp.addEventListener('change', (e) => {
+    settings.rsvp.orpAlignment = e.target.checked;
+    elements.rsvpPivotColor.disabled = !e.target.checked;
+    updateRsvpPreview();
+  });
+  
+  elements.rsvpPivotColor.addEventListener('input', (e) => {
+    settings.rsvp.pivotColor = e.target.value;
+    updateRsvpPreview();
+  });
+  
+  elements.rsvpQuiz.addEventListener('change', (e) => {
+    settings.rsvp.comprehensionCheck = e.target.checked;
+    elements.rsvpQuizCount.disabled = !e.target.checked;
+  });
+  
+  elements.rsvpQuizCount.addEventListener('input', (e) => {
+    settings.rsvp.quizQuestions = parseInt(e.target.value);
+    elements.rsvpQuizCountValue.textContent = e.target.value;
+  });
+  
+  elements.rsvpTraining.addEventListener('change', (e) => {
+    settings.rsvp.trainingMode = e.target.value;
+    updateTrainingControls();
+  });
+  
+  elements.rsvpTrainingStep.addEventListener('input', (e) => {
+    settings.rsvp.trainingStep = parseInt(e.target.value);
+    elements.rsvpTrainingStepValue.textContent = `${e.target.value} WPM`;
+  });
+  
+  elements.rsvpTrainingSessions.addEventListener('input', (e) => {
+    settings.rsvp.trainingSessions = parseInt(e.target.value);
+    elements.rsvpTrainingSessionsValue.textContent = e.target.value;
+  });
+  
+  elements.rsvpTrainingPauses.addEventListener('input', (e) => {
+    settings.rsvp.trainingMaxPauses = parseInt(e.target.value);
+    elements.rsvpTrainingPausesValue.textContent = e.target.value;
+  });
+  
+  elements.rsvpTrainingComprehension.addEventListener('input', (e) => {
+    settings.rsvp.trainingMinComprehension = parseInt(e.target.value);
+    elements.rsvpTrainingComprehensionValue.textContent = `${e.target.value}%`;
+  });
+  
+  elements.rsvpTheme.addEventListener('change', (e) => {
+    settings.rsvp.theme = e.target.value;
+    updateCustomThemeControls();
+    updateRsvpPreview();
+  });
+  
+  elements.rsvpFont.addEventListener('change', (e) => {
+    settings.rsvp.fontFamily = e.target.value;
+    updateRsvpPreview();
+  });
+  
+  elements.rsvpBgColor.addEventListener('input', (e) => {
+    settings.rsvp.backgroundColor = e.target.value;
+    updateRsvpPreview();
+  });
+  
+  elements.rsvpTextColor.addEventListener('input', (e) => {
+    settings.rsvp.textColor = e.target.value;
+    updateRsvpPreview();
+  });
 
   // Control Mode
   elements.controlMode.addEventListener('change', (e) => {